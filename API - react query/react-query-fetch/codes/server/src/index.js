@@ -12,10 +12,33 @@ app.use(express.json());
 const sleep = (time = 1000) =>
   new Promise((resolve) => setTimeout(resolve, time));
 
+const ACCESS_TOKEN_TTL = 60 * 1000;
+const accessTokens = new Map();
+
+// Set REQUIRE_AUTH=true to reject requests without a valid access token
+const requireAuth = (request, response, next) => {
+  if (!process.env.REQUIRE_AUTH || request.path.startsWith("/auth/")) {
+    return next();
+  }
+  const [, token] = (request.get("Authorization") || "").split("Bearer ");
+  const expiresAt = accessTokens.get(token);
+  if (!expiresAt || expiresAt < Date.now()) {
+    accessTokens.delete(token);
+    response.status(401).json({ error: "Unauthorized" });
+    return;
+  }
+  next();
+};
+
+app.use(requireAuth);
+
 const readQuotes = async () => {
   return quotes;
 };
 
+// Idempotency-Key -> id of the quote it created
+const addedQuotes = new Map();
+
 const addQuote = (quote, author) => {
   const id = nanoid();
   quotes.quotes.unshift({ id, quote, author });
@@ -44,6 +67,24 @@ const getQuotesByCursor = async (cursor, limit) => {
   };
 };
 
+// Stand-in for a real auth service: any refresh token gets a short-lived access token
+app.post("/auth/refresh", async (request, response) => {
+  try {
+    const { refreshToken } = request.body;
+    if (!refreshToken) {
+      response.status(401).json({ error: "Missing refresh token" });
+      return;
+    }
+    await sleep(300);
+    const accessToken = nanoid();
+    accessTokens.set(accessToken, Date.now() + ACCESS_TOKEN_TTL);
+    response.json({ accessToken, expiresIn: ACCESS_TOKEN_TTL / 1000 });
+  } catch (error) {
+    console.error(error);
+    response.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
 app.get("/top_quotes", async (request, response) => {
   try {
     await sleep();
@@ -57,6 +98,22 @@ app.get("/top_quotes", async (request, response) => {
   }
 });
 
+app.get("/quotes/:id", async (request, response) => {
+  try {
+    await sleep();
+    const quotesData = await readQuotes();
+    const quote = quotesData.quotes.find(({ id }) => id === request.params.id);
+    if (!quote) {
+      response.status(404).json({ error: "Quote not found" });
+      return;
+    }
+    response.json(quote);
+  } catch (error) {
+    console.error(error);
+    response.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
 app.get("/", async (request, response) => {
   try {
     const { page, cursor } = request.query;
@@ -89,7 +146,14 @@ app.post("/", async (request, response) => {
       return;
     }
     await sleep();
+    // A replayed request gets the quote it created the first time
+    const idempotencyKey = request.get("Idempotency-Key");
+    if (idempotencyKey && addedQuotes.has(idempotencyKey)) {
+      response.status(201).json({ id: addedQuotes.get(idempotencyKey) });
+      return;
+    }
     const id = addQuote(quote, author);
+    if (idempotencyKey) addedQuotes.set(idempotencyKey, id);
     response.status(201).json({ id });
   } catch (error) {
     console.error(error);
@@ -97,11 +161,77 @@ app.post("/", async (request, response) => {
   }
 });
 
+const MAX_BATCH_SIZE = 20;
+
+const isBatchable = (subRequest) => {
+  if (!subRequest || typeof subRequest !== "object") return false;
+  const { method = "GET", url } = subRequest;
+  return (
+    typeof method === "string" &&
+    method.toUpperCase() === "GET" &&
+    typeof url === "string" &&
+    url.startsWith("/") &&
+    !url.startsWith("/batch")
+  );
+};
+
+// A bad entry only fails its own sub-response, not the whole batch
+const runSubRequest = async (request, subRequest) => {
+  if (!isBatchable(subRequest)) {
+    return {
+      status: 400,
+      body: { error: "Only GET requests to this server can be batched." },
+    };
+  }
+  // Each sub-request goes through the regular route, with the caller's token
+  const subResponse = await fetch(`http://localhost:${port}${subRequest.url}`, {
+    headers: { Authorization: request.get("Authorization") || "" },
+  });
+  const text = await subResponse.text();
+  let body = text;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Not JSON, the text is passed on as is
+  }
+  return {
+    status: subResponse.status,
+    headers: { "content-type": subResponse.headers.get("content-type") },
+    body,
+  };
+};
+
+// Takes { requests: [{ method, url }] } and answers { responses: [...] }
+// in the same order, so many small GETs cost one round-trip
+app.post("/batch", async (request, response) => {
+  try {
+    const { requests } = request.body;
+    if (!Array.isArray(requests) || !requests.length) {
+      response.status(400).json({ error: "Please provide requests to run." });
+      return;
+    }
+    if (requests.length > MAX_BATCH_SIZE) {
+      response.status(413).json({
+        error: `A batch can hold up to ${MAX_BATCH_SIZE} requests.`,
+      });
+      return;
+    }
+    const responses = await Promise.all(
+      requests.map((subRequest) => runSubRequest(request, subRequest))
+    );
+    response.json({ responses });
+  } catch (error) {
+    console.error(error);
+    response.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
 app.post("/reset", async (request, response) => {
   try {
     await sleep();
     quotes.quotes.length = 0;
     quotes.quotes.push(...quotesOriginal.quotes);
+    addedQuotes.clear();
     response.json({ success: true });
   } catch (error) {
     console.error(error);
@@ -1,16 +1,37 @@
+import { lazy } from "react";
 import { QueryClient, QueryClientProvider } from "react-query";
 import { ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
+import AddQuote from "./components/add-quote";
+import AllQuotes from "./components/all-quotes";
+import ApiActivityProvider from "./components/api-activity-provider";
+import ApiProgressBar from "./components/api-progress-bar";
+import DelayedSuspense from "./components/delayed-suspense";
+import FeaturedQuotes from "./components/featured-quotes";
 import FetchTopQuotes from "./components/top-quotes";
 
 const queryClient = new QueryClient();
 
+// Development only, so it stays out of the main bundle
+const ApiInspector = lazy(() => import("./components/api-inspector"));
+
 function App() {
   return (
     <>
       <QueryClientProvider client={queryClient}>
-        <ToastContainer />
-        <FetchTopQuotes />
+        <ApiActivityProvider queryClient={queryClient}>
+          <ApiProgressBar />
+          <ToastContainer />
+          <AddQuote />
+          <FetchTopQuotes />
+          <FeaturedQuotes />
+          <AllQuotes />
+          {process.env.NODE_ENV === "development" ? (
+            <DelayedSuspense delay={300} minDuration={500}>
+              <ApiInspector />
+            </DelayedSuspense>
+          ) : null}
+        </ApiActivityProvider>
       </QueryClientProvider>
     </>
   );
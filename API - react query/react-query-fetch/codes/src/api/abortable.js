@@ -0,0 +1,52 @@
+import axios from "axios";
+
+export const ABORT_REASON = {
+  CANCEL: "cancel",
+  TIMEOUT: "timeout",
+};
+
+export const createAbortError = (reason, message) => {
+  const error = new axios.CanceledError(message);
+  error.abortReason = reason;
+  return error;
+};
+
+// AbortSignal.timeout() aborts with a "TimeoutError" DOMException
+export const getSignalAbortReason = (signal) =>
+  signal.reason?.abortReason ??
+  (signal.reason?.name === "TimeoutError"
+    ? ABORT_REASON.TIMEOUT
+    : ABORT_REASON.CANCEL);
+
+export const didAbort = (error) =>
+  (axios.isCancel(error) || error?.aborted === true) && {
+    aborted: true,
+    reason: error.abortReason ?? ABORT_REASON.CANCEL,
+  };
+
+// Lets a middleware hold a request back (while refreshing a token, in a queue)
+// and still have the caller's `abort` callback and signals cancel it
+export const detachAbort = ({ abort, ...config }) => {
+  const controller = new AbortController();
+  if (typeof abort === "function") abort(() => controller.abort());
+
+  const signals = [].concat(config.signal ?? [], controller.signal);
+  return { config: { ...config, signal: signals }, signals };
+};
+
+export const untilAborted = (promise, signals) =>
+  new Promise((resolve, reject) => {
+    const cleanups = [];
+    const settle = (fn) => (value) => {
+      cleanups.forEach((cleanup) => cleanup());
+      fn(value);
+    };
+    const onAbort = settle(() => reject(createAbortError(ABORT_REASON.CANCEL)));
+
+    for (const signal of signals) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener("abort", onAbort, { once: true });
+      cleanups.push(() => signal.removeEventListener("abort", onAbort));
+    }
+    promise.then(settle(resolve), settle(reject));
+  });
@@ -0,0 +1,49 @@
+// Where an in-flight entry comes from. A call made through `useApi` also
+// shows up as the client request(s) it makes.
+export const ACTIVITY_SOURCE = {
+  API: "api",
+  HOOK: "hook",
+  REACT_QUERY: "react-query",
+};
+
+const matches = (entry, filter) =>
+  typeof filter === "function"
+    ? filter(entry)
+    : Object.entries(filter).every(([key, value]) => entry[key] === value);
+
+// Keeps what is in flight right now. `start(entry)` returns the function that
+// ends it, which can safely be called more than once.
+export const createApiActivity = () => {
+  const listeners = new Set();
+  let entries = [];
+  let nextId = 1;
+
+  const notify = () => listeners.forEach((listener) => listener());
+
+  return {
+    start: (entry) => {
+      const record = { id: nextId++, startedAt: Date.now(), ...entry };
+      entries = [...entries, record];
+      notify();
+
+      return () => {
+        if (!entries.includes(record)) return;
+        entries = entries.filter((current) => current !== record);
+        notify();
+      };
+    },
+    // `filter` is a predicate or fields to match, e.g. `{ source: "api" }`
+    count: (filter) =>
+      filter
+        ? entries.filter((entry) => matches(entry, filter)).length
+        : entries.length,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => entries,
+  };
+};
+
+// Requests in flight, read through `useIsFetching`
+export const apiActivity = createApiActivity();
@@ -0,0 +1,36 @@
+import { ACTIVITY_SOURCE, createApiActivity } from "./activity";
+import { activity } from "./middleware/activity";
+import { createAdapterApi, httpError, httpResponse } from "./test-utils";
+
+describe("api activity", () => {
+  it("counts entries until they end, matching fields or a predicate", () => {
+    const tracker = createApiActivity();
+    const endFirst = tracker.start({ source: ACTIVITY_SOURCE.API, url: "a" });
+    tracker.start({ source: ACTIVITY_SOURCE.HOOK });
+
+    expect(tracker.count()).toBe(2);
+    expect(tracker.count({ source: ACTIVITY_SOURCE.API })).toBe(1);
+    expect(tracker.count(({ url }) => url === "b")).toBe(0);
+
+    endFirst();
+    endFirst();
+    expect(tracker.count()).toBe(1);
+  });
+
+  it("tracks client requests until they settle", async () => {
+    const tracker = createApiActivity();
+    const counts = [];
+    const api = createAdapterApi(async (config) => {
+      counts.push(tracker.count({ url: config.url }));
+      if (config.url === "missing") throw httpError(config, 404);
+      return httpResponse(config);
+    });
+    api.use(activity(tracker), "activity");
+
+    await api.get("quotes");
+    await api.get("missing").catch(() => {});
+
+    expect(counts).toEqual([1, 1]);
+    expect(tracker.count()).toBe(0);
+  });
+});
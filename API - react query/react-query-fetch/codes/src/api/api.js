@@ -1,4 +1,27 @@
 import axios from "axios";
+import { toFormData } from "../helpers/to-form-data";
+import {
+  ABORT_REASON,
+  createAbortError,
+  didAbort,
+  getSignalAbortReason,
+} from "./abortable";
+import { apiActivity } from "./activity";
+import { API_ERROR_KIND, getRetryAfter, toApiError } from "./apiError";
+import { createResponseCache } from "./cache";
+import { activity } from "./middleware/activity";
+import { batch } from "./middleware/batch";
+import { concurrency, REQUEST_PRIORITY } from "./middleware/concurrency";
+import { correlationId } from "./middleware/correlation-id";
+import { toHost } from "./host";
+import { createLogSink, LOG_LEVEL } from "./logSink";
+import { logger } from "./middleware/logger";
+import { rateLimit } from "./middleware/rate-limit";
+import { getRetryDelay, retryDefaults } from "./retry";
+import { createMockAdapter } from "./mock/adapter";
+import { mockRoutes } from "./mock/routes";
+import { createOutbox } from "./outbox";
+import { createOutboxStorage } from "./outboxStorage";
 
 const axiosParams = {
   // Base URL should be set via environment
@@ -8,23 +31,176 @@ const axiosParams = {
 
 const axiosInstance = axios.create(axiosParams);
 
-export const didAbort = (error) => axios.isCancel(error) && { aborted: true };
+const defaultAdapter = axiosInstance.defaults.adapter;
 
-const getCancelSource = () => axios.CancelToken.source();
+// Serves every request from `./mock/routes` so the app runs offline
+export const enableMockApi = ({
+  routes = mockRoutes,
+  latency = 300,
+  failureRate = 0,
+} = {}) => {
+  axiosInstance.defaults.adapter = createMockAdapter(routes, {
+    latency,
+    failureRate,
+  });
+};
+
+export const disableMockApi = () => {
+  axiosInstance.defaults.adapter = defaultAdapter;
+};
+
+if (process.env.REACT_APP_MOCK_API === "true") {
+  enableMockApi({
+    latency: Number(process.env.REACT_APP_MOCK_API_LATENCY ?? 300),
+    failureRate: Number(process.env.REACT_APP_MOCK_API_FAILURE_RATE ?? 0),
+  });
+}
+
+export { ABORT_REASON, didAbort } from "./abortable";
+export { ACTIVITY_SOURCE, apiActivity } from "./activity";
+export { API_ERROR_KIND, ApiError, isApiError, toApiError } from "./apiError";
+export { OUTBOX_STATUS } from "./outbox";
+export { REQUEST_PRIORITY } from "./middleware/concurrency";
+export { getRetryDelay } from "./retry";
+export { LOG_LEVEL } from "./logSink";
 
-export const isApiError = (error) => axios.isAxiosError(error);
+export const isNetworkError = (error) =>
+  toApiError(error)?.kind === API_ERROR_KIND.NETWORK;
+
+export const isServerError = (error) =>
+  toApiError(error)?.kind === API_ERROR_KIND.HTTP_SERVER;
+
+// Only these methods are retried unless a call opts in with `idempotent: true`
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+
+const defaultRetryConfig = {
+  ...retryDefaults,
+  idempotent: false,
+  // Responses with Retry-After are left to the rate limit middleware
+  retryOn: (error) =>
+    (isNetworkError(error) || isServerError(error)) &&
+    getRetryAfter(error.response) === null,
+};
+
+const normaliseRetryConfig = (retry) => {
+  if (!retry) return null;
+  if (retry === true) return { ...defaultRetryConfig, retries: 3 };
+  if (typeof retry === "number") {
+    return { ...defaultRetryConfig, retries: retry };
+  }
+  return { ...defaultRetryConfig, ...retry };
+};
+
+const waitForRetry = (time, signal) =>
+  new Promise((resolve, reject) => {
+    const rejectWithReason = () =>
+      reject(signal.reason ?? new axios.CanceledError());
+    if (signal?.aborted) return rejectWithReason();
+
+    const onAbort = () => {
+      clearTimeout(timeout);
+      rejectWithReason();
+    };
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, time);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+const withRetry = (fn, method) => {
+  const executor = async (...args) => {
+    const { retry, ...config } = args[args.length - 1];
+    const requestArgs = [...args.slice(0, -1), config];
+    const retryConfig = normaliseRetryConfig(retry);
+
+    if (
+      !retryConfig ||
+      !(retryConfig.idempotent || IDEMPOTENT_METHODS.includes(method))
+    ) {
+      return fn(...requestArgs);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(...requestArgs);
+      } catch (error) {
+        if (
+          didAbort(error) ||
+          attempt >= retryConfig.retries ||
+          !retryConfig.retryOn(error, attempt)
+        ) {
+          throw error;
+        }
+        // Stops waiting as soon as the abort canceller fires
+        await waitForRetry(getRetryDelay(attempt, retryConfig), config.signal);
+      }
+    }
+  };
+
+  return executor;
+};
+
+// Progress callbacks receive axios' progress event plus a rounded `percent`
+const toProgressHandler = (callback) =>
+  typeof callback === "function"
+    ? (event) =>
+        callback({
+          ...event,
+          percent: event.total
+            ? Math.round((event.loaded / event.total) * 100)
+            : null,
+        })
+    : undefined;
+
+const withProgress = (fn) => {
+  const executor = (...args) => {
+    const { onUploadProgress, onDownloadProgress, ...config } =
+      args[args.length - 1];
+
+    return fn(...args.slice(0, -1), {
+      ...config,
+      onUploadProgress: toProgressHandler(onUploadProgress),
+      onDownloadProgress: toProgressHandler(onDownloadProgress),
+    });
+  };
+
+  return executor;
+};
 
 const withAbort = (fn) => {
   const executor = async (...args) => {
     const originalConfig = args[args.length - 1];
-    const { abort, ...config } = originalConfig;
+    const { abort, signal, ...config } = originalConfig;
+    const controller = new AbortController();
+    const cleanups = [];
+    let abortReason = ABORT_REASON.CANCEL;
+
+    const abortWith = (reason, message) => {
+      if (!controller.signal.aborted) {
+        abortReason = reason;
+        controller.abort(createAbortError(reason, message));
+      }
+    };
+
+    // Callers can pass one signal or an array of signals to combine
+    for (const externalSignal of [].concat(signal ?? [])) {
+      if (externalSignal.aborted) {
+        abortWith(getSignalAbortReason(externalSignal));
+        break;
+      }
+      const onAbort = () => abortWith(getSignalAbortReason(externalSignal));
+      externalSignal.addEventListener("abort", onAbort, { once: true });
+      cleanups.push(() => externalSignal.removeEventListener("abort", onAbort));
+    }
 
+    // Keeps the `abort: (cancel) => ...` contract of the CancelToken version
     if (typeof abort === "function") {
-      const { cancel, token } = getCancelSource();
-      config.cancelToken = token;
-      abort(cancel);
+      abort((message) => abortWith(ABORT_REASON.CANCEL, message));
     }
 
+    config.signal = controller.signal;
+
     try {
       if (args.length > 2) {
         const [url, body] = args;
@@ -36,43 +212,325 @@ const withAbort = (fn) => {
     } catch (error) {
       if (didAbort(error)) {
         error.aborted = true;
+        error.abortReason = abortReason;
       }
 
       throw error;
+    } finally {
+      cleanups.forEach((cleanup) => cleanup());
     }
   };
 
   return executor;
 };
 
-export const withLogger = async (promise) =>
-  promise.catch((error) => {
-    if (!process.env.REACT_APP_DEBUG_API) throw error;
-
-    if (error.response) {
-      console.log(error.response.data);
-      console.log(error.response.status);
-      console.log(error.response.headers);
-    } else if (error.request) {
-      console.log(error.request);
-    } else {
-      console.log("Error", error.message);
+// Sorts object keys so `{ a, b }` and `{ b, a }` produce the same key
+const serializeParams = (params) => {
+  if (params instanceof URLSearchParams) return params.toString();
+  if (!params || typeof params !== "object") return JSON.stringify(params);
+  if (Array.isArray(params)) return `[${params.map(serializeParams)}]`;
+
+  return `{${Object.keys(params)
+    .sort()
+    .map((key) => `${JSON.stringify(key)}:${serializeParams(params[key])}`)}}`;
+};
+
+const getRequestKey = (method, url, { baseURL = "", params }) =>
+  [method, baseURL, url, serializeParams(params)].join(" ");
+
+const withDedupe = (fn, method) => {
+  const inFlight = new Map();
+
+  // Each subscriber waits on the shared request but can abort on its own
+  const subscribe = (url, { signal, ...config }) => {
+    if (signal.aborted) return Promise.reject(new axios.CanceledError());
+    const key = getRequestKey(method, url, config);
+    let entry = inFlight.get(key);
+
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, subscribers: 0 };
+      entry.promise = fn(url, { ...config, signal: controller.signal }).finally(
+        () => inFlight.get(key) === entry && inFlight.delete(key)
+      );
+      inFlight.set(key, entry);
     }
-    console.log(error.config);
-    throw error;
-  });
-const api = (axios) => {
+
+    entry.subscribers++;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        entry.subscribers--;
+        // The shared request is only cancelled once every subscriber is gone
+        if (entry.subscribers === 0) {
+          inFlight.get(key) === entry && inFlight.delete(key);
+          entry.controller.abort();
+        }
+        reject(new axios.CanceledError());
+      };
+
+      signal.addEventListener("abort", onAbort, { once: true });
+      entry.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  };
+
+  const executor = (url, config) => {
+    const { dedupe = true, ...restConfig } = config;
+    // A shared request could only report progress to its first caller
+    if (!dedupe || restConfig.onDownloadProgress) return fn(url, restConfig);
+    return withAbort(subscribe)(url, restConfig);
+  };
+
+  // True when the call would join an identical request already in flight
+  executor.canReuse = (url, { dedupe = true, ...config }) =>
+    dedupe &&
+    !config.onDownloadProgress &&
+    inFlight.has(getRequestKey(method, url, config));
+
+  return executor;
+};
+
+const defaultCacheConfig = {
+  ttl: 30 * 1000,
+  staleWhileRevalidate: 0,
+};
+
+const normaliseCacheConfig = (cache) => {
+  if (!cache) return null;
+  if (cache === true) return defaultCacheConfig;
+  if (typeof cache === "number") return { ...defaultCacheConfig, ttl: cache };
+  return { ...defaultCacheConfig, ...cache };
+};
+
+const withCache = (fn, cache, defaultBaseURL = "") => {
+  const fetchAndStore = (key, url, config) =>
+    fn(url, config).then((response) => {
+      cache.set(key, {
+        response,
+        storedAt: Date.now(),
+        url,
+        fullUrl: `${config.baseURL ?? defaultBaseURL}${url}`,
+      });
+      return response;
+    });
+
+  // Refreshes a stale entry in the background, outside of the caller's abort
+  const revalidate = (key, entry, url, config) => {
+    if (entry.revalidating) return;
+    const { abort, signal, ...revalidateConfig } = config;
+
+    entry.revalidating = true;
+    fn(url, revalidateConfig)
+      .then((response) => {
+        // Skips the update if the entry was invalidated in the meantime
+        if (cache.peek(key) === entry) {
+          cache.set(key, { ...entry, response, storedAt: Date.now() });
+        }
+      })
+      .catch(() => {})
+      .finally(() => {
+        entry.revalidating = false;
+      });
+  };
+
+  const executor = (url, config) => {
+    const { cache: cacheOption, ...restConfig } = config;
+    const cacheConfig = normaliseCacheConfig(cacheOption);
+    if (!cacheConfig) return fn(url, restConfig);
+
+    const key = getRequestKey("get", url, restConfig);
+    const entry = cache.get(key);
+    const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+    if (age < cacheConfig.ttl) return Promise.resolve(entry.response);
+    if (age < cacheConfig.ttl + cacheConfig.staleWhileRevalidate) {
+      revalidate(key, entry, url, restConfig);
+      return Promise.resolve(entry.response);
+    }
+    return fetchAndStore(key, url, restConfig);
+  };
+
+  // True when the call would be answered without a request of its own
+  executor.canReuse = (url, { cache: cacheOption, ...config }) => {
+    const cacheConfig = normaliseCacheConfig(cacheOption);
+    const entry = cacheConfig && cache.peek(getRequestKey("get", url, config));
+    if (
+      entry &&
+      Date.now() - entry.storedAt <
+        cacheConfig.ttl + cacheConfig.staleWhileRevalidate
+    ) {
+      return true;
+    }
+    return fn.canReuse?.(url, config) ?? false;
+  };
+
+  return executor;
+};
+
+const api = (axios, { cacheSize = 100 } = {}) => {
+  const middlewares = [];
+  const cache = createResponseCache({ maxEntries: cacheSize });
+  const cachedGet = withCache(
+    withDedupe(withAbort(withRetry(withProgress(axios.get), "get")), "get"),
+    cache,
+    axios.defaults.baseURL
+  );
+
+  const requesters = {
+    get: ({ url, config }) => cachedGet(url, config),
+    delete: ({ url, config }) =>
+      withAbort(withRetry(withProgress(axios.delete), "delete"))(url, config),
+    post: ({ url, body, config }) =>
+      withAbort(withRetry(withProgress(axios.post), "post"))(url, body, config),
+    patch: ({ url, body, config }) =>
+      withAbort(withRetry(withProgress(axios.patch), "patch"))(
+        url,
+        body,
+        config
+      ),
+    put: ({ url, body, config }) =>
+      withAbort(withRetry(withProgress(axios.put), "put"))(url, body, config),
+  };
+
+  // Middlewares run in registration order before the request
+  // and in reverse order after the response or error
+  const request = (method, url, body, config = {}) => {
+    const { skipMiddleware = false, timeout, ...restConfig } = config;
+    const activeMiddlewares =
+      skipMiddleware === true
+        ? []
+        : middlewares.filter(
+            ({ name }) => !skipMiddleware || !skipMiddleware.includes(name)
+          );
+
+    const dispatch = async (index, currentRequest) => {
+      if (index === activeMiddlewares.length) {
+        return requesters[currentRequest.method](currentRequest);
+      }
+      const { handler } = activeMiddlewares[index];
+      return handler(currentRequest, (nextRequest = currentRequest) =>
+        dispatch(index + 1, nextRequest)
+      );
+    };
+
+    // `timeout` counts from here, so time spent waiting in the rate limit
+    // cooldown, the concurrency queue or a batch counts too
+    const deadline = new AbortController();
+    const timer = timeout && setTimeout(() => deadline.abort(), timeout);
+    const requestConfig = timeout
+      ? {
+          ...restConfig,
+          signal: [].concat(restConfig.signal ?? [], deadline.signal),
+        }
+      : restConfig;
+
+    return dispatch(0, { method, url, body, config: requestConfig })
+      .catch((error) => {
+        if (deadline.signal.aborted && didAbort(error)) {
+          throw toApiError(
+            createAbortError(
+              ABORT_REASON.TIMEOUT,
+              `Request timed out after ${timeout}ms`
+            )
+          );
+        }
+        throw toApiError(error);
+      })
+      .finally(() => clearTimeout(timer));
+  };
+
   return {
-    get: (url, config = {}) => withLogger(withAbort(axios.get)(url, config)),
-    delete: (url, config = {}) =>
-      withLogger(withAbort(axios.delete)(url, config)),
-    post: (url, body, config = {}) =>
-      withLogger(withAbort(axios.post)(url, body, config)),
-    patch: (url, body, config = {}) =>
-      withLogger(withAbort(axios.patch)(url, body, config)),
-    put: (url, body, config = {}) =>
-      withLogger(withAbort(axios.put)(url, body, config)),
+    use: (handler, name = handler.name) => {
+      const middleware = { handler, name };
+      middlewares.push(middleware);
+
+      return () => {
+        const index = middlewares.indexOf(middleware);
+        if (index !== -1) middlewares.splice(index, 1);
+      };
+    },
+    invalidate: (prefix) => cache.invalidate(prefix),
+    // Cache hits and GETs joining one in flight need no slot of their own
+    canReuse: ({ method, url, config }) =>
+      method === "get" && cachedGet.canReuse(url, config),
+    get: (url, config) => request("get", url, undefined, config),
+    delete: (url, config) => request("delete", url, undefined, config),
+    post: (url, body, config) => request("post", url, body, config),
+    patch: (url, body, config) => request("patch", url, body, config),
+    put: (url, body, config) => request("put", url, body, config),
+    request: (method, url, body, config) => request(method, url, body, config),
+    // Sends files and nested fields as multipart/form-data
+    upload: (url, data, { method = "post", ...config } = {}) =>
+      request(method, url, toFormData(data), config),
   };
 };
 
-export default api(axiosInstance);
+const apiClient = api(axiosInstance);
+
+const rateLimiter = rateLimit({
+  bypass: apiClient.canReuse,
+  baseURL: axiosParams.baseURL,
+});
+
+// Opt in per call with `outbox: true` to keep mutations made while offline
+export const outbox = createOutbox({
+  storage: createOutboxStorage(),
+  // Replays make way for what the user is doing now
+  send: ({ method, url, body, config }) =>
+    apiClient.request(method, url, body, {
+      ...config,
+      priority: REQUEST_PRIORITY.BACKGROUND,
+    }),
+});
+
+// Printed to the console from REACT_APP_API_LOG_LEVEL up; REACT_APP_DEBUG_API
+// prints everything. The last records are always kept for the ApiInspector.
+export const apiLog = createLogSink({
+  level:
+    process.env.REACT_APP_API_LOG_LEVEL ??
+    (process.env.REACT_APP_DEBUG_API ? LOG_LEVEL.DEBUG : LOG_LEVEL.SILENT),
+});
+
+// Sends a logged request again, with the body and headers it originally had
+export const replayLogRecord = (record) => {
+  const { method, url, body, config } = apiLog.getReplayRequest(record);
+  return apiClient.request(method, url, body, config);
+};
+
+apiClient.use(activity(apiActivity), "activity");
+apiClient.use(logger(apiLog), "logger");
+apiClient.use(correlationId(), "correlationId");
+apiClient.use(outbox.middleware, "outbox");
+// Sub-requests are throttled and queued as part of their batch call. They
+// already went through activity and logger, the batch call itself doesn't.
+apiClient.use(
+  batch({
+    send: (requests) =>
+      apiClient.post(
+        "batch",
+        { requests },
+        { skipMiddleware: ["activity", "logger"] }
+      ),
+  }),
+  "batch"
+);
+apiClient.use(rateLimiter, "rateLimit");
+apiClient.use(
+  concurrency({ bypass: apiClient.canReuse, baseURL: axiosParams.baseURL }),
+  "concurrency"
+);
+
+// Milliseconds until a throttled host takes requests again ("try again in 12s")
+export const getCooldown = (urlOrHost) =>
+  rateLimiter.getCooldown(toHost(urlOrHost));
+
+if (typeof window !== "undefined") {
+  window.addEventListener("online", () => outbox.replay());
+  if (navigator.onLine) outbox.replay();
+}
+
+export { api as createApi };
+
+export default apiClient;
@@ -0,0 +1,388 @@
+import { API_ERROR_KIND, ApiError, didAbort, getRetryDelay } from "./api";
+import {
+  createAdapterApi,
+  httpError,
+  httpResponse,
+  pendingRequest,
+} from "./test-utils";
+
+const createEchoApi = () =>
+  createAdapterApi(async (config) =>
+    httpResponse(config, { url: config.url, headers: config.headers })
+  );
+
+describe("api middleware", () => {
+  it("runs middlewares in registration order around the request", async () => {
+    const api = createEchoApi();
+    const calls = [];
+    const track = (name) => async (request, next) => {
+      calls.push(`${name}:before`);
+      const response = await next(request);
+      calls.push(`${name}:after`);
+      return response;
+    };
+
+    api.use(track("first"));
+    api.use(track("second"));
+    await api.get("users");
+
+    expect(calls).toEqual([
+      "first:before",
+      "second:before",
+      "second:after",
+      "first:after",
+    ]);
+  });
+
+  it("passes the modified request down the chain", async () => {
+    const api = createEchoApi();
+
+    api.use((request, next) =>
+      next({
+        ...request,
+        config: { ...request.config, headers: { "X-Test": "1" } },
+      })
+    );
+    const response = await api.post("quotes", {});
+
+    expect(response.data.headers["X-Test"]).toBe("1");
+  });
+
+  it("lets middlewares handle errors after the request", async () => {
+    const api = createEchoApi();
+    const error = new Error("Boom");
+
+    api.use(async (request, next) => {
+      try {
+        return await next(request);
+      } catch (e) {
+        return { data: e.message };
+      }
+    });
+    api.use(() => Promise.reject(error));
+
+    await expect(api.get("users")).resolves.toEqual({ data: "Boom" });
+  });
+
+  it("skips middlewares per call", async () => {
+    const api = createEchoApi();
+    const calls = [];
+
+    api.use((request, next) => calls.push("auth") && next(request), "auth");
+    api.use((request, next) => calls.push("timing") && next(request), "timing");
+
+    await api.get("users", { skipMiddleware: ["auth"] });
+    await api.get("users", { skipMiddleware: true });
+
+    expect(calls).toEqual(["timing"]);
+  });
+
+  it("removes a middleware with the returned eject function", async () => {
+    const api = createEchoApi();
+    const middleware = jest.fn((request, next) => next(request));
+
+    const eject = api.use(middleware);
+    eject();
+    await api.get("users");
+
+    expect(middleware).not.toHaveBeenCalled();
+  });
+});
+
+describe("ApiError", () => {
+  const createRejectingApi = (status, data) =>
+    createAdapterApi(async (config) => {
+      throw httpError(config, status, data);
+    });
+
+  it.each([
+    [404, API_ERROR_KIND.HTTP_CLIENT, false],
+    [429, API_ERROR_KIND.HTTP_CLIENT, true],
+    [503, API_ERROR_KIND.HTTP_SERVER, true],
+  ])("normalises a %i response", async (status, kind, retryable) => {
+    const api = createRejectingApi(status, { error: "Nope" });
+    const error = await api.get("users").catch((e) => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({
+      kind,
+      status,
+      retryable,
+      body: { error: "Nope" },
+    });
+  });
+
+  it("reports timeouts and aborts", async () => {
+    const api = createAdapterApi((config) => pendingRequest(config));
+    let cancel;
+
+    const timedOut = await api.get("slow", { timeout: 1 }).catch((e) => e);
+    const aborted = api.get("slow", { abort: (c) => (cancel = c) });
+    cancel();
+    const abortError = await aborted.catch((e) => e);
+
+    expect(timedOut.kind).toBe(API_ERROR_KIND.TIMEOUT);
+    expect(didAbort(timedOut)).toEqual({ aborted: true, reason: "timeout" });
+    expect(abortError.kind).toBe(API_ERROR_KIND.ABORTED);
+    expect(abortError.retryable).toBe(false);
+  });
+});
+
+describe("api cache", () => {
+  const createCountingApi = (options) => {
+    let calls = 0;
+    const api = createAdapterApi(
+      async (config) => httpResponse(config, ++calls),
+      options
+    );
+    return { api, getCalls: () => calls };
+  };
+
+  it("serves repeated GETs from the cache within the ttl", async () => {
+    const { api, getCalls } = createCountingApi();
+
+    await api.get("meals", { params: { s: "fish" }, cache: true });
+    const response = await api.get("meals", {
+      params: { s: "fish" },
+      cache: true,
+    });
+    await api.get("meals", { params: { s: "fish" } });
+
+    expect(response.data).toBe(1);
+    expect(getCalls()).toBe(2);
+  });
+
+  it("returns stale data while revalidating in the background", async () => {
+    const { api, getCalls } = createCountingApi();
+    const cache = { ttl: 0, staleWhileRevalidate: 60 * 1000 };
+
+    await api.get("meals", { cache });
+    const stale = await api.get("meals", { cache });
+    await new Promise((resolve) => setTimeout(resolve));
+    const fresh = await api.get("meals", { cache });
+
+    expect(stale.data).toBe(1);
+    expect(fresh.data).toBe(2);
+    expect(getCalls()).toBe(2);
+  });
+
+  it("evicts the least recently used entry", async () => {
+    const { api, getCalls } = createCountingApi({ cacheSize: 2 });
+
+    await api.get("users/1", { cache: true });
+    await api.get("users/2", { cache: true });
+    await api.get("users/1", { cache: true });
+    await api.get("users/3", { cache: true });
+    await api.get("users/1", { cache: true });
+    await api.get("users/2", { cache: true });
+
+    expect(getCalls()).toBe(4);
+  });
+
+  it("invalidates entries by url prefix", async () => {
+    const { api, getCalls } = createCountingApi();
+
+    await api.get("users/1", { cache: true });
+    await api.get("quotes", { cache: true });
+    api.invalidate("users");
+    await api.get("users/1", { cache: true });
+    await api.get("quotes", { cache: true });
+
+    expect(getCalls()).toBe(3);
+  });
+});
+
+describe("api dedupe", () => {
+  const createPendingApi = () => {
+    const requests = [];
+    const api = createAdapterApi((config) =>
+      pendingRequest(config, (resolve) => {
+        const data = requests.length + 1;
+        requests.push({
+          signal: config.signal,
+          resolve: () => resolve(httpResponse(config, data)),
+        });
+      })
+    );
+    return { api, requests };
+  };
+
+  it("shares one request between identical GETs, whatever the param order", async () => {
+    const { api, requests } = createPendingApi();
+
+    const first = api.get("meals", { params: { s: "fish", c: "Seafood" } });
+    const second = api.get("meals", { params: { c: "Seafood", s: "fish" } });
+    const other = api.get("meals", { params: { s: "beef" } });
+    await new Promise((resolve) => setTimeout(resolve));
+    requests.forEach(({ resolve }) => resolve());
+
+    const responses = await Promise.all([first, second, other]);
+    expect(requests).toHaveLength(2);
+    expect(responses[0]).toBe(responses[1]);
+    expect(responses[2].data).not.toBe(responses[0].data);
+  });
+
+  it("aborts the shared request only once every caller has aborted", async () => {
+    const { api, requests } = createPendingApi();
+    const cancels = [];
+
+    const calls = [0, 1].map((index) =>
+      api
+        .get("meals", { abort: (cancel) => (cancels[index] = cancel) })
+        .catch((e) => e)
+    );
+    await new Promise((resolve) => setTimeout(resolve));
+
+    cancels[0]();
+    expect(didAbort(await calls[0])).toBeTruthy();
+    expect(requests[0].signal.aborted).toBe(false);
+
+    cancels[1]();
+    expect(didAbort(await calls[1])).toBeTruthy();
+    expect(requests).toHaveLength(1);
+    expect(requests[0].signal.aborted).toBe(true);
+  });
+});
+
+describe("api retry", () => {
+  const createAlwaysFailingApi = (status = 503) => {
+    let calls = 0;
+    const api = createAdapterApi(async (config) => {
+      calls++;
+      throw httpError(config, status);
+    });
+    return { api, getCalls: () => calls };
+  };
+
+  const fast = { baseDelay: 1, jitter: false };
+
+  it("backs off exponentially up to the cap", () => {
+    const config = { baseDelay: 100, maxDelay: 1000, jitter: false };
+
+    expect([0, 1, 2, 3, 4].map((n) => getRetryDelay(n, config))).toEqual([
+      100, 200, 400, 800, 1000,
+    ]);
+  });
+
+  it("retries GETs but POSTs only when marked idempotent", async () => {
+    const { api, getCalls } = createAlwaysFailingApi();
+
+    await api.get("quotes", { retry: { ...fast, retries: 2 } }).catch(() => {});
+    expect(getCalls()).toBe(3);
+
+    await api
+      .post("quotes", {}, { retry: { ...fast, retries: 2 } })
+      .catch(() => {});
+    expect(getCalls()).toBe(4);
+
+    await api
+      .post("quotes", {}, { retry: { ...fast, retries: 2, idempotent: true } })
+      .catch(() => {});
+    expect(getCalls()).toBe(7);
+  });
+
+  it("asks retryOn whether to try again", async () => {
+    const { api, getCalls } = createAlwaysFailingApi(404);
+    const retryOn = jest.fn((error, attempt) => attempt < 1);
+
+    await api.get("users", { retry: { ...fast, retries: 2 } }).catch(() => {});
+    expect(getCalls()).toBe(1);
+
+    await api
+      .get("users", { retry: { ...fast, retries: 5, retryOn } })
+      .catch(() => {});
+    expect(getCalls()).toBe(3);
+    expect(
+      retryOn.mock.calls.map(([error, attempt]) => [
+        error.response.status,
+        attempt,
+      ])
+    ).toEqual([
+      [404, 0],
+      [404, 1],
+    ]);
+  });
+
+  it("stops waiting for the next attempt once aborted", async () => {
+    const { api, getCalls } = createAlwaysFailingApi();
+    let cancel;
+
+    const request = api
+      .get("quotes", {
+        retry: { retries: 1, baseDelay: 60 * 1000, jitter: false },
+        dedupe: false,
+        abort: (c) => (cancel = c),
+      })
+      .catch((e) => e);
+    await new Promise((resolve) => setTimeout(resolve));
+    cancel();
+
+    expect(didAbort(await request)).toBeTruthy();
+    expect(getCalls()).toBe(1);
+  });
+});
+
+describe("api abort signals", () => {
+  const createHangingApi = () => {
+    const signals = [];
+    const api = createAdapterApi((config) => {
+      signals.push(config.signal);
+      return pendingRequest(config);
+    });
+    return { api, signals };
+  };
+
+  // jsdom has no AbortSignal.timeout(), this aborts the same way
+  const timeoutSignal = (time) => {
+    const signal = new EventTarget();
+    signal.aborted = false;
+    setTimeout(() => {
+      signal.aborted = true;
+      signal.reason = new DOMException("signal timed out", "TimeoutError");
+      signal.dispatchEvent(new Event("abort"));
+    }, time);
+    return signal;
+  };
+
+  it("aborts when any signal of an array aborts", async () => {
+    const { api, signals } = createHangingApi();
+    const page = new AbortController();
+    const search = new AbortController();
+
+    const request = api
+      .get("meals", { signal: [page.signal, search.signal], dedupe: false })
+      .catch((e) => e);
+    await new Promise((resolve) => setTimeout(resolve));
+    search.abort();
+
+    expect(didAbort(await request)).toEqual({
+      aborted: true,
+      reason: "cancel",
+    });
+    expect(signals[0].aborted).toBe(true);
+  });
+
+  it("never sends a request whose signal already aborted", async () => {
+    const { api, signals } = createHangingApi();
+    const controller = new AbortController();
+    controller.abort();
+
+    const error = await api
+      .get("meals", { signal: controller.signal })
+      .catch((e) => e);
+
+    expect(didAbort(error)).toBeTruthy();
+    expect(signals).toHaveLength(0);
+  });
+
+  it("reports AbortSignal.timeout() as a timeout", async () => {
+    const { api } = createHangingApi();
+
+    const error = await api
+      .get("meals", { signal: timeoutSignal(1) })
+      .catch((e) => e);
+
+    expect(error.kind).toBe(API_ERROR_KIND.TIMEOUT);
+    expect(didAbort(error)).toEqual({ aborted: true, reason: "timeout" });
+  });
+});
@@ -0,0 +1,110 @@
+import axios from "axios";
+import { ABORT_REASON, didAbort } from "./abortable";
+
+export const API_ERROR_KIND = {
+  NETWORK: "network",
+  TIMEOUT: "timeout",
+  ABORTED: "aborted",
+  HTTP_CLIENT: "http-client",
+  HTTP_SERVER: "http-server",
+  PARSE: "parse",
+};
+
+// Client errors that are worth trying again later
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+// Retry-After holds either a number of seconds or an HTTP date
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value == null || String(value).trim() === "") return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+export const getRetryAfter = (response) =>
+  parseRetryAfter(
+    response?.headers?.get?.("retry-after") ??
+      response?.headers?.["retry-after"]
+  );
+
+export class ApiError extends Error {
+  constructor({
+    kind,
+    message,
+    status = null,
+    body = null,
+    retryable,
+    retryAfter = null,
+    cause,
+  }) {
+    super(message);
+    this.name = "ApiError";
+    this.kind = kind;
+    this.status = status;
+    this.body = body;
+    this.retryable =
+      retryable ??
+      (kind === API_ERROR_KIND.NETWORK ||
+        kind === API_ERROR_KIND.TIMEOUT ||
+        kind === API_ERROR_KIND.HTTP_SERVER ||
+        RETRYABLE_STATUSES.includes(status));
+    // Milliseconds the server asked us to wait (429/503 with Retry-After)
+    this.retryAfter = retryAfter;
+    this.cause = cause;
+    this.config = cause?.config;
+  }
+}
+
+const getErrorKind = (error) => {
+  const abort = didAbort(error);
+  if (abort) {
+    return abort.reason === ABORT_REASON.TIMEOUT
+      ? API_ERROR_KIND.TIMEOUT
+      : API_ERROR_KIND.ABORTED;
+  }
+  if (error.name === "SyntaxError" || error.cause?.name === "SyntaxError") {
+    return API_ERROR_KIND.PARSE;
+  }
+  if (error.response) {
+    return error.response.status >= 500
+      ? API_ERROR_KIND.HTTP_SERVER
+      : API_ERROR_KIND.HTTP_CLIENT;
+  }
+  if (["ECONNABORTED", "ETIMEDOUT"].includes(error.code)) {
+    return API_ERROR_KIND.TIMEOUT;
+  }
+  return API_ERROR_KIND.NETWORK;
+};
+
+// Errors that did not come from a request (e.g. bugs in our code) pass through
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+  if (
+    !axios.isAxiosError(error) &&
+    !axios.isCancel(error) &&
+    error?.name !== "SyntaxError"
+  ) {
+    return error;
+  }
+
+  const apiError = new ApiError({
+    kind: getErrorKind(error),
+    message: error.message,
+    status: error.response?.status ?? null,
+    body: error.response?.data ?? null,
+    retryAfter: getRetryAfter(error.response),
+    cause: error,
+  });
+  // Keeps `didAbort` working for normalised errors
+  const abort = didAbort(error);
+  if (abort) {
+    apiError.aborted = true;
+    apiError.abortReason = abort.reason;
+  }
+  return apiError;
+};
+
+export const isApiError = (error) => error instanceof ApiError;
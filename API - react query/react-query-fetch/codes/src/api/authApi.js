@@ -0,0 +1,29 @@
+import api from "./api";
+
+const REFRESH_TOKEN_KEY = "refreshToken";
+
+let accessToken = null;
+
+// The quotes server's `/auth/refresh` stand-in accepts any refresh token
+const getRefreshToken = () =>
+  localStorage.getItem(REFRESH_TOKEN_KEY) ??
+  process.env.REACT_APP_REFRESH_TOKEN ??
+  "dev-refresh-token";
+
+export const refreshAccessToken = () =>
+  api
+    .post(
+      "auth/refresh",
+      { refreshToken: getRefreshToken() },
+      // Requests waiting for the refresh may hold every concurrency slot
+      { skipMiddleware: ["auth", "concurrency"] }
+    )
+    .then((res) => {
+      accessToken = res.data.accessToken;
+      return accessToken;
+    });
+
+export const authProvider = {
+  getAccessToken: () => accessToken,
+  refresh: refreshAccessToken,
+};
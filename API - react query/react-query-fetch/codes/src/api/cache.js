@@ -0,0 +1,34 @@
+// Least recently used entries are evicted first once `maxEntries` is reached
+export const createResponseCache = ({ maxEntries = 100 } = {}) => {
+  const entries = new Map();
+
+  return {
+    peek: (key) => entries.get(key),
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) return;
+
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    set: (key, entry) => {
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    // Matches against the request url ("users/2") or the full url
+    invalidate: (prefix = "") => {
+      for (const [key, entry] of entries) {
+        if (entry.url.startsWith(prefix) || entry.fullUrl.startsWith(prefix)) {
+          entries.delete(key);
+        }
+      }
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+};
@@ -0,0 +1,82 @@
+import api from "./api";
+import { parseResponse } from "./schema";
+import { services } from "./services";
+
+/**
+ * @typedef {Object} EndpointDefinition
+ * @property {keyof typeof services} service Backend the endpoint belongs to
+ * @property {"get" | "delete" | "post" | "patch" | "put" | "upload"} [method]
+ * @property {string} path Path template, e.g. "users/:userId/avatar"
+ * @property {(input: any) => Object} [query] Builds the query params
+ * @property {(input: any) => any} [body] Builds the request body
+ * @property {(response: Object) => any} [unwrap] Picks the data out of the response
+ * @property {(data: any, path: string) => any} [schema] Validates and normalises
+ * the data (see `./schema`), failures reject with a "parse" ApiError
+ * @property {Object} [config] Default request config, e.g. `retry` or `cache`
+ */
+
+const BODY_METHODS = ["post", "put", "patch", "upload"];
+
+// "users/:userId/avatar" + { userId: 2 } -> "users/2/avatar"
+const buildPath = (name, path, input) =>
+  path.replace(/:(\w+)/g, (_, key) => {
+    if (input?.[key] === undefined) {
+      throw new Error(`Missing path param "${key}" for endpoint "${name}"`);
+    }
+    return encodeURIComponent(input[key]);
+  });
+
+const createEndpoint = (
+  name,
+  {
+    service,
+    method = "get",
+    path,
+    query,
+    body,
+    unwrap = (res) => res.data,
+    schema,
+    config: endpointConfig,
+  }
+) => {
+  if (!services[service]) {
+    throw new Error(`Unknown service "${service}" for endpoint "${name}"`);
+  }
+
+  return (input, config = {}) => {
+    let url;
+    try {
+      url = buildPath(name, path, input);
+    } catch (error) {
+      // Fails like the request would, for callers using `.catch` or withAsync
+      return Promise.reject(error);
+    }
+    const requestConfig = {
+      ...services[service],
+      ...endpointConfig,
+      ...(query && { params: query(input) }),
+      ...config,
+    };
+    const request = BODY_METHODS.includes(method)
+      ? api[method](url, body ? body(input) : input, requestConfig)
+      : api[method](url, requestConfig);
+
+    return request
+      .then(unwrap)
+      .then((data) => (schema ? parseResponse(schema, data, name) : data));
+  };
+};
+
+/**
+ * Turns endpoint declarations into call functions with the same names.
+ * @template {Record<string, EndpointDefinition>} T
+ * @param {T} definitions
+ * @returns {{ [K in keyof T]: (input?: any, config?: Object) => Promise<any> }}
+ */
+export const defineEndpoints = (definitions) =>
+  Object.fromEntries(
+    Object.entries(definitions).map(([name, definition]) => [
+      name,
+      createEndpoint(name, definition),
+    ])
+  );
@@ -0,0 +1,46 @@
+import { disableMockApi, enableMockApi } from "./api";
+import { defineEndpoints } from "./defineEndpoints";
+
+describe("defineEndpoints", () => {
+  beforeAll(() => enableMockApi({ latency: 0 }));
+  afterAll(() => disableMockApi());
+
+  const { fetchUser, searchMeals } = defineEndpoints({
+    fetchUser: {
+      service: "users",
+      path: "users/:userId",
+      schema: ({ id, name }) => ({ id, name }),
+    },
+    searchMeals: {
+      service: "meals",
+      path: "search.php",
+      query: (query) => ({ s: query }),
+      unwrap: (res) => res.data.meals ?? [],
+    },
+  });
+
+  it("fills path params and applies the schema", async () => {
+    await expect(fetchUser({ userId: 2 })).resolves.toEqual({
+      id: 2,
+      name: "Ervin Howell",
+    });
+  });
+
+  it("serialises the query and unwraps the response", async () => {
+    const meals = await searchMeals("burek");
+    const noMeals = await searchMeals("xyz");
+
+    expect(meals.map((meal) => meal.strMeal)).toEqual(["Burek"]);
+    expect(noMeals).toEqual([]);
+  });
+
+  it("rejects calls with missing path params", async () => {
+    await expect(fetchUser({})).rejects.toThrow('Missing path param "userId"');
+  });
+
+  it("rejects endpoints of unknown services", () => {
+    expect(() =>
+      defineEndpoints({ fetchTodos: { service: "todos", path: "todos" } })
+    ).toThrow('Unknown service "todos"');
+  });
+});
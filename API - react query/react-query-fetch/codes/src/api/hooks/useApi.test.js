@@ -0,0 +1,255 @@
+import { act, renderHook, waitFor } from "@testing-library/react";
+import axios from "axios";
+import { API_ERROR_KIND, REQUEST_PRIORITY } from "../api";
+import { extendedApiStatusTransitions } from "../../constants/api-status";
+import { EXEC_MODE, useApi } from "./useApi";
+
+// Resolves when told to, or rejects like axios once its signal aborts
+const createControlledFn = () => {
+  const calls = [];
+  const fn = jest.fn(
+    (value, { signal }) =>
+      new Promise((resolve, reject) => {
+        calls.push({ value, resolve: () => resolve(value), signal });
+        signal.addEventListener("abort", () =>
+          reject(new axios.CanceledError())
+        );
+      })
+  );
+  return { fn, calls };
+};
+
+describe("useApi", () => {
+  it("aborts the previous call and keeps the latest result", async () => {
+    const { fn, calls } = createControlledFn();
+    const { result } = renderHook(() => useApi(fn));
+
+    let first;
+    let second;
+    act(() => {
+      first = result.current.exec("first");
+      second = result.current.exec("second");
+    });
+    await act(async () => {
+      calls[1].resolve();
+      await second;
+    });
+
+    expect(calls[0].signal.aborted).toBe(true);
+    expect((await first).error.kind).toBe(API_ERROR_KIND.ABORTED);
+    expect(result.current.data).toBe("second");
+    expect(result.current.isSuccess).toBe(true);
+  });
+
+  it("ignores results of older calls in parallel mode", async () => {
+    const { fn, calls } = createControlledFn();
+    const { result } = renderHook(() =>
+      useApi(fn, { mode: EXEC_MODE.PARALLEL })
+    );
+
+    let first;
+    act(() => {
+      first = result.current.exec("first");
+      result.current.exec("second");
+    });
+    await act(async () => {
+      calls[0].resolve();
+      await first;
+    });
+
+    expect(calls[0].signal.aborted).toBe(false);
+    expect(result.current.data).toBeUndefined();
+    expect(result.current.isPending).toBe(true);
+  });
+
+  it("runs queued calls one after another", async () => {
+    const { fn, calls } = createControlledFn();
+    const { result } = renderHook(() => useApi(fn, { mode: EXEC_MODE.QUEUE }));
+
+    let second;
+    act(() => {
+      result.current.exec("first");
+      second = result.current.exec("second");
+    });
+    await act(async () => {
+      await Promise.resolve();
+    });
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    await act(async () => {
+      calls[0].resolve();
+      await Promise.resolve();
+    });
+    await act(async () => {
+      calls[1].resolve();
+      await second;
+    });
+
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(result.current.data).toBe("second");
+  });
+
+  it("aborts in-flight calls on unmount", () => {
+    const { fn, calls } = createControlledFn();
+    const { result, unmount } = renderHook(() => useApi(fn));
+
+    act(() => {
+      result.current.exec("first");
+    });
+    unmount();
+
+    expect(calls[0].signal.aborted).toBe(true);
+  });
+});
+
+describe("useApi auto-run", () => {
+  it("runs on mount and when deps change, unless disabled", async () => {
+    const fn = jest.fn(async () => "users");
+    const { result, rerender } = renderHook(
+      ({ page, enabled }) =>
+        useApi(fn, { immediate: true, deps: [page], enabled, initialData: [] }),
+      { initialProps: { page: 1, enabled: true } }
+    );
+
+    expect(result.current.data).toEqual([]);
+    await waitFor(() => expect(result.current.data).toBe("users"));
+
+    rerender({ page: 2, enabled: true });
+    expect(result.current.data).toEqual([]);
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+
+    rerender({ page: 3, enabled: false });
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps the previous data while the next deps load", async () => {
+    const fn = jest.fn(async () => "users");
+    const { result, rerender } = renderHook(
+      ({ page }) =>
+        useApi(fn, { immediate: true, deps: [page], keepPreviousData: true }),
+      { initialProps: { page: 1 } }
+    );
+    await waitFor(() => expect(result.current.data).toBe("users"));
+
+    rerender({ page: 2 });
+
+    expect(result.current.data).toBe("users");
+    expect(result.current.isPending).toBe(true);
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+  });
+
+  it("resets to idle and the initial data", async () => {
+    const { fn, calls } = createControlledFn();
+    const { result } = renderHook(() => useApi(fn, { initialData: "none" }));
+
+    act(() => {
+      result.current.exec("first");
+    });
+    act(() => result.current.reset());
+
+    expect(calls[0].signal.aborted).toBe(true);
+    expect(result.current.data).toBe("none");
+    expect(result.current.error).toBeUndefined();
+    expect(result.current.isIdle).toBe(true);
+  });
+});
+
+describe("useApi status machines", () => {
+  it("reports reloads and cancelled calls with the extended statuses", async () => {
+    const { fn, calls } = createControlledFn();
+    const { result } = renderHook(() =>
+      useApi(fn, { transitions: extendedApiStatusTransitions })
+    );
+
+    let first;
+    act(() => {
+      first = result.current.exec("first");
+    });
+    await act(async () => {
+      calls[0].resolve();
+      await first;
+    });
+    act(() => {
+      result.current.exec("second");
+    });
+    expect(result.current.isRefetching).toBe(true);
+
+    await act(async () => {
+      result.current.abort();
+      await Promise.resolve();
+    });
+
+    expect(result.current.isCancelled).toBe(true);
+    expect(result.current.data).toBe("first");
+  });
+});
+
+describe("useApi refetching", () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  const setVisibility = (state) =>
+    Object.defineProperty(document, "visibilityState", {
+      configurable: true,
+      get: () => state,
+    });
+
+  it("polls with the last arguments while the tab is visible", async () => {
+    const fn = jest.fn(async (page) => page);
+    const { result } = renderHook(() => useApi(fn, { refetchInterval: 1000 }));
+
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+    expect(fn).not.toHaveBeenCalled();
+
+    await act(async () => {
+      await result.current.exec(2);
+    });
+    await act(async () => {
+      jest.advanceTimersByTime(1000);
+    });
+    setVisibility("hidden");
+    await act(async () => {
+      jest.advanceTimersByTime(3000);
+    });
+    setVisibility("visible");
+
+    expect(fn.mock.calls.map(([page]) => page)).toEqual([2, 2]);
+    expect(fn.mock.calls.map(([, { priority }]) => priority)).toEqual([
+      REQUEST_PRIORITY.USER_INITIATED,
+      REQUEST_PRIORITY.BACKGROUND,
+    ]);
+  });
+
+  it("refetches on focus and reconnect but never on top of a call", async () => {
+    const { fn, calls } = createControlledFn();
+    const { result } = renderHook(() =>
+      useApi(fn, { refetchOnWindowFocus: true, refetchOnReconnect: true })
+    );
+
+    act(() => {
+      result.current.exec("users");
+    });
+    act(() => {
+      window.dispatchEvent(new Event("focus"));
+    });
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    await act(async () => {
+      calls[0].resolve();
+    });
+    act(() => {
+      window.dispatchEvent(new Event("focus"));
+    });
+    await act(async () => {
+      calls[1].resolve();
+    });
+    act(() => {
+      window.dispatchEvent(new Event("online"));
+    });
+
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(calls[0].signal.aborted).toBe(false);
+  });
+});
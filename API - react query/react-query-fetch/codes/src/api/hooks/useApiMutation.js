@@ -0,0 +1,57 @@
+import { useCallback, useRef } from "react";
+import { EXEC_MODE, useApi } from "./useApi";
+
+// Runs `mutationFn(vars, { signal })` and keeps the data of `target` in step.
+// `target` has `getData()` and a `setData` that accepts an updater function,
+// like the result of `useApi` or wrapped `queryClient` calls.
+// `optimisticUpdate(current, vars)` is applied right away. If the call fails,
+// the data goes back to what it was, unless something else changed it in the
+// meantime (a refetch, another mutation). Then only `rollback(current, vars,
+// previous)`, if given, undoes this change. `reconcile(current, result, vars)`
+// merges the response.
+export function useApiMutation(mutationFn, config = {}) {
+  const {
+    target,
+    optimisticUpdate,
+    rollback,
+    reconcile,
+    mode = EXEC_MODE.PARALLEL,
+    ...apiConfig
+  } = config;
+  const { exec, ...mutation } = useApi(mutationFn, { mode, ...apiConfig });
+  const optionsRef = useRef();
+  optionsRef.current = { target, optimisticUpdate, rollback, reconcile };
+
+  const mutate = useCallback(
+    async (vars) => {
+      const { target, optimisticUpdate, rollback, reconcile } =
+        optionsRef.current;
+      let previous;
+      let optimistic;
+      if (optimisticUpdate) {
+        previous = target.getData();
+        optimistic = optimisticUpdate(previous, vars);
+        target.setData(() => optimistic);
+      }
+
+      const result = await exec(vars);
+      if (result.error) {
+        if (!optimisticUpdate) return result;
+        if (target.getData() === optimistic) {
+          target.setData(() => previous);
+        } else if (rollback) {
+          target.setData((current) => rollback(current, vars, previous));
+        }
+      } else if (reconcile) {
+        target.setData((current) => reconcile(current, result.data, vars));
+      }
+      return result;
+    },
+    [exec]
+  );
+
+  return {
+    ...mutation,
+    mutate,
+  };
+}
@@ -0,0 +1,83 @@
+import { act, renderHook } from "@testing-library/react";
+import { useApi } from "./useApi";
+import { useApiMutation } from "./useApiMutation";
+
+const renderMutation = (mutationFn, options) =>
+  renderHook(() => {
+    const list = useApi(async () => ["Ada", "Linus"], {
+      initialData: ["Ada"],
+    });
+    const mutation = useApiMutation(mutationFn, {
+      target: list,
+      optimisticUpdate: (current, name) => [...current, `${name}?`],
+      reconcile: (current, saved, name) =>
+        current.map((entry) => (entry === `${name}?` ? saved : entry)),
+      ...options,
+    });
+    return { list, ...mutation };
+  });
+
+const createDeferred = () => {
+  const deferred = {};
+  deferred.promise = new Promise((resolve, reject) =>
+    Object.assign(deferred, { resolve, reject })
+  );
+  return deferred;
+};
+
+describe("useApiMutation", () => {
+  it("applies the update right away and reconciles it with the response", async () => {
+    const deferred = createDeferred();
+    const { result } = renderMutation(() => deferred.promise);
+
+    let mutation;
+    act(() => {
+      mutation = result.current.mutate("Grace");
+    });
+    expect(result.current.list.data).toEqual(["Ada", "Grace?"]);
+
+    await act(async () => {
+      deferred.resolve("Grace");
+      await mutation;
+    });
+    expect(result.current.list.data).toEqual(["Ada", "Grace"]);
+    expect(result.current.isSuccess).toBe(true);
+  });
+
+  it("rolls the update back when the call fails", async () => {
+    const { result } = renderMutation(() => {
+      throw new Error("Offline");
+    });
+
+    let outcome;
+    await act(async () => {
+      outcome = await result.current.mutate("Grace");
+    });
+
+    expect(outcome.error.message).toBe("Offline");
+    expect(result.current.list.data).toEqual(["Ada"]);
+    expect(result.current.isError).toBe(true);
+  });
+
+  it("keeps data that landed while the call was in flight", async () => {
+    const deferred = createDeferred();
+    const { result } = renderMutation(() => deferred.promise, {
+      rollback: (current, name) =>
+        current.filter((entry) => entry !== `${name}?`),
+    });
+
+    let mutation;
+    act(() => {
+      mutation = result.current.mutate("Grace");
+    });
+    await act(async () => {
+      await result.current.list.exec();
+    });
+    await act(async () => {
+      deferred.reject(new Error("Offline"));
+      await mutation;
+    });
+
+    expect(result.current.list.data).toEqual(["Ada", "Linus"]);
+  });
+});
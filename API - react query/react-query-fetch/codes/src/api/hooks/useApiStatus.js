@@ -1,21 +1,57 @@
-import { useMemo, useState } from "react";
-import { IDLE, defaultApiStatuses } from "../../constants/api-status";
+import { useCallback, useMemo, useRef, useState } from "react";
+import { IDLE, defaultApiStatusTransitions } from "../../constants/api-status";
 
 const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
 
-const prepareStatuses = (currentStatus) => {
+// "PENDING" -> "isPending", "PARTIAL_SUCCESS" -> "isPartialSuccess"
+export const getStatusFlagName = (status) =>
+  `is${status.toLowerCase().split("_").map(capitalize).join("")}`;
+
+const prepareStatuses = (currentStatus, statusList) => {
   const statuses = {};
-  for (const status of defaultApiStatuses) {
-    const normalisedStatus = capitalize(status.toLowerCase());
-    const normalisedStatusKey = `is${normalisedStatus}`;
-    statuses[normalisedStatusKey] = status === currentStatus;
+  for (const status of statusList) {
+    statuses[getStatusFlagName(status)] = status === currentStatus;
   }
   return statuses;
 };
 
-export const useApiStatus = (currentStatus = IDLE) => {
-  const [status, setStatus] = useState(currentStatus);
-  const statuses = useMemo(() => prepareStatuses(status), [status]);
+const warnOnInvalidTransition = (transitions, from, to) => {
+  if (from === to) return;
+  if (!transitions[to]) {
+    console.warn(`useApiStatus: unknown status "${to}"`);
+  } else if (!transitions[from]?.includes(to)) {
+    console.warn(`useApiStatus: invalid transition "${from}" -> "${to}"`);
+  }
+};
+
+// `transitions` maps every status to the statuses it may move to and
+// decides which `isX` flags are returned
+export const useApiStatus = (
+  currentStatus = IDLE,
+  transitions = defaultApiStatusTransitions
+) => {
+  const [status, setCurrentStatus] = useState(currentStatus);
+  const statusRef = useRef(currentStatus);
+  const transitionsRef = useRef(transitions);
+  transitionsRef.current = transitions;
+
+  const setStatus = useCallback((nextStatus) => {
+    if (process.env.NODE_ENV !== "production") {
+      warnOnInvalidTransition(
+        transitionsRef.current,
+        statusRef.current,
+        nextStatus
+      );
+    }
+    statusRef.current = nextStatus;
+    setCurrentStatus(nextStatus);
+  }, []);
+
+  const statusList = Object.keys(transitions).join();
+  const statuses = useMemo(
+    () => prepareStatuses(status, statusList.split(",")),
+    [status, statusList]
+  );
 
   return {
     status,
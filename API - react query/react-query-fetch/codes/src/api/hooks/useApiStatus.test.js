@@ -0,0 +1,50 @@
+import { act, renderHook } from "@testing-library/react";
+import {
+  CANCELLED,
+  PENDING,
+  REFETCHING,
+  SUCCESS,
+  extendedApiStatusTransitions,
+} from "../../constants/api-status";
+import { getStatusFlagName, useApiStatus } from "./useApiStatus";
+
+describe("useApiStatus", () => {
+  let warn;
+  beforeEach(() => {
+    warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+  afterEach(() => warn.mockRestore());
+
+  it("generates a flag for every status of the machine", () => {
+    const { result } = renderHook(() =>
+      useApiStatus("IDLE", { IDLE: ["PARTIAL_SUCCESS"], PARTIAL_SUCCESS: [] })
+    );
+
+    expect(getStatusFlagName("PARTIAL_SUCCESS")).toBe("isPartialSuccess");
+    expect(result.current).toMatchObject({
+      isIdle: true,
+      isPartialSuccess: false,
+    });
+    expect(result.current).not.toHaveProperty("isPending");
+  });
+
+  it("warns about transitions the machine does not allow", () => {
+    const { result } = renderHook(() =>
+      useApiStatus(PENDING, extendedApiStatusTransitions)
+    );
+
+    act(() => result.current.setStatus(SUCCESS));
+    act(() => result.current.setStatus(REFETCHING));
+    act(() => result.current.setStatus(CANCELLED));
+    expect(warn).not.toHaveBeenCalled();
+    expect(result.current.isCancelled).toBe(true);
+
+    act(() => result.current.setStatus(SUCCESS));
+    act(() => result.current.setStatus("UNKNOWN"));
+
+    expect(warn.mock.calls).toEqual([
+      ['useApiStatus: invalid transition "CANCELLED" -> "SUCCESS"'],
+      ['useApiStatus: unknown status "UNKNOWN"'],
+    ]);
+  });
+});
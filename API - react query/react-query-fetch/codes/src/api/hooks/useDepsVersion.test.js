@@ -0,0 +1,22 @@
+import { renderHook } from "@testing-library/react";
+import { useDepsVersion } from "./useDepsVersion";
+
+describe("useDepsVersion", () => {
+  it("only changes when one of the deps does", () => {
+    const { result, rerender } = renderHook(
+      ({ deps }) => useDepsVersion(deps),
+      { initialProps: { deps: [1, "a"] } }
+    );
+    const initial = result.current;
+
+    rerender({ deps: [1, "a"] });
+    expect(result.current).toBe(initial);
+
+    rerender({ deps: [2, "a"] });
+    expect(result.current).not.toBe(initial);
+    const changed = result.current;
+
+    rerender({ deps: [2, "a", NaN] });
+    expect(result.current).not.toBe(changed);
+  });
+});
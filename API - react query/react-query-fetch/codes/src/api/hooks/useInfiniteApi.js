@@ -0,0 +1,156 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useApiActivity } from "./useIsFetching";
+import { useApiStatus } from "./useApiStatus";
+import { useDepsVersion } from "./useDepsVersion";
+import { ERROR, IDLE, PENDING, SUCCESS } from "../../constants/api-status";
+import { ACTIVITY_SOURCE } from "../activity";
+import { toApiError } from "../apiError";
+
+const defaultGetItems = (page) => page;
+const defaultGetItemId = (item) => item.id;
+
+// `fetchPage(pageParam, { signal })` loads one page. `getNextParam(lastPage,
+// pages)` returns the param of the next page, or null/undefined after the last.
+// The first page loads on mount and whenever `deps` change, unless `enabled`
+// is false. One page is fetched at a time and pages from an earlier run are
+// dropped.
+// `items` are the pages' items (see `getItems`) without repeats, so an entry
+// that moves to the next page because something was added meanwhile only
+// shows up once.
+export function useInfiniteApi(fetchPage, config = {}) {
+  const {
+    getNextParam,
+    getItems = defaultGetItems,
+    getItemId = defaultGetItemId,
+    enabled = true,
+    deps = [],
+  } = config;
+  const [pages, setPages] = useState([]);
+  const [error, setError] = useState();
+  const [isFetchingNextPage, setIsFetchingNextPage] = useState(false);
+  const { status, setStatus, ...normalisedStatuses } = useApiStatus(IDLE);
+  const fetchPageRef = useRef(fetchPage);
+  const configRef = useRef(config);
+  const pagesRef = useRef([]);
+  const controllerRef = useRef(null);
+  const requestRef = useRef(null);
+  const mountedRef = useRef(false);
+  const activity = useApiActivity();
+  const activityRef = useRef(activity);
+  const depsVersion = useDepsVersion(deps);
+
+  fetchPageRef.current = fetchPage;
+  configRef.current = config;
+  activityRef.current = activity;
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      controllerRef.current?.abort();
+    };
+  }, []);
+
+  const loadPage = useCallback(
+    async (pageParam, isNextPage) => {
+      const controller = new AbortController();
+      controllerRef.current = controller;
+      const isLatest = () =>
+        mountedRef.current && controllerRef.current === controller;
+      const endActivity = activityRef.current.start({
+        source: ACTIVITY_SOURCE.HOOK,
+      });
+
+      setStatus(PENDING);
+      setIsFetchingNextPage(isNextPage);
+      try {
+        const page = await fetchPageRef.current(pageParam, {
+          signal: controller.signal,
+        });
+        if (isLatest()) {
+          pagesRef.current = [...pagesRef.current, page];
+          setPages(pagesRef.current);
+          setError(undefined);
+          setStatus(SUCCESS);
+        }
+        return {
+          data: page,
+          error: null,
+        };
+      } catch (rawError) {
+        const error = toApiError(rawError);
+        if (isLatest()) {
+          setError(error);
+          setStatus(ERROR);
+        }
+        return {
+          error,
+          data: null,
+        };
+      } finally {
+        endActivity();
+        if (isLatest()) {
+          controllerRef.current = null;
+          setIsFetchingNextPage(false);
+        }
+      }
+    },
+    [setStatus]
+  );
+
+  const abort = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  // Starts over from the first page, aborting the page in flight
+  const refetch = useCallback(() => {
+    abort();
+    pagesRef.current = [];
+    setPages([]);
+    requestRef.current = loadPage(configRef.current.initialPageParam, false);
+    return requestRef.current;
+  }, [abort, loadPage]);
+
+  // Resolves with the page in flight, if any, rather than loading it twice
+  const fetchNextPage = useCallback(() => {
+    if (controllerRef.current) return requestRef.current;
+    const pages = pagesRef.current;
+    const nextParam = pages.length
+      ? configRef.current.getNextParam(pages[pages.length - 1], pages)
+      : null;
+    if (nextParam == null) return Promise.resolve(null);
+    requestRef.current = loadPage(nextParam, true);
+    return requestRef.current;
+  }, [loadPage]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    refetch();
+  }, [enabled, depsVersion, refetch]);
+
+  const items = useMemo(() => {
+    const seen = new Set();
+    return pages.flatMap(getItems).filter((item) => {
+      const id = getItemId(item);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }, [pages, getItems, getItemId]);
+
+  const hasNextPage =
+    pages.length > 0 && getNextParam(pages[pages.length - 1], pages) != null;
+
+  return {
+    pages,
+    items,
+    status,
+    error,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+    refetch,
+    abort,
+    ...normalisedStatuses,
+  };
+}
@@ -0,0 +1,63 @@
+import { act, renderHook, waitFor } from "@testing-library/react";
+import axios from "axios";
+import { useInfiniteApi } from "./useInfiniteApi";
+
+const config = {
+  initialPageParam: 0,
+  getNextParam: (lastPage, pages) => (lastPage.hasMore ? pages.length : null),
+  getItems: (page) => page.quotes,
+};
+
+describe("useInfiniteApi", () => {
+  it("accumulates pages and drops items that moved to the next page", async () => {
+    // A quote added between the two calls pushes "2" onto the second page
+    const responses = [
+      { quotes: [{ id: "1" }, { id: "2" }], hasMore: true },
+      { quotes: [{ id: "2" }, { id: "3" }], hasMore: false },
+    ];
+    const fetchPage = jest.fn(async (page) => responses[page]);
+    const { result } = renderHook(() => useInfiniteApi(fetchPage, config));
+
+    await waitFor(() => expect(result.current.isSuccess).toBe(true));
+    expect(result.current.hasNextPage).toBe(true);
+
+    await act(async () => {
+      await Promise.all([
+        result.current.fetchNextPage(),
+        result.current.fetchNextPage(),
+      ]);
+    });
+
+    expect(fetchPage.mock.calls.map(([page]) => page)).toEqual([0, 1]);
+    expect(result.current.pages).toHaveLength(2);
+    expect(result.current.items.map(({ id }) => id)).toEqual(["1", "2", "3"]);
+    expect(result.current.hasNextPage).toBe(false);
+    expect(await result.current.fetchNextPage()).toBeNull();
+  });
+
+  it("aborts the page in flight when starting over", async () => {
+    const signals = [];
+    const fetchPage = jest.fn(
+      (page, { signal }) =>
+        new Promise((resolve, reject) => {
+          signals.push(signal);
+          signal.addEventListener("abort", () =>
+            reject(new axios.CanceledError())
+          );
+        })
+    );
+    const { result, unmount } = renderHook(() =>
+      useInfiniteApi(fetchPage, config)
+    );
+
+    act(() => {
+      result.current.refetch();
+    });
+    expect(signals[0].aborted).toBe(true);
+    expect(result.current.isPending).toBe(true);
+    expect(result.current.isFetchingNextPage).toBe(false);
+
+    unmount();
+    expect(signals[1].aborted).toBe(true);
+  });
+});
@@ -0,0 +1,17 @@
+import { createContext, useContext, useSyncExternalStore } from "react";
+import { apiActivity } from "../activity";
+
+// Overridden by `ApiActivityProvider`, e.g. to give tests their own tracker
+export const ApiActivityContext = createContext(apiActivity);
+
+export const useApiActivity = () => useContext(ApiActivityContext);
+
+// How many requests are in flight, optionally only those matching `filter`:
+// `useIsFetching({ source: ACTIVITY_SOURCE.API })` or a predicate.
+// Without a filter every entry counts, so a `useApi` call counts twice: once
+// for the hook and once for the client request it makes. Filter by `source`
+// for a count of one kind.
+export const useIsFetching = (filter) => {
+  const tracker = useApiActivity();
+  return useSyncExternalStore(tracker.subscribe, () => tracker.count(filter));
+};
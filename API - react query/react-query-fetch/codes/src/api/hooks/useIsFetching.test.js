@@ -0,0 +1,73 @@
+import { act, renderHook, waitFor } from "@testing-library/react";
+import { QueryClient, QueryClientProvider, useQuery } from "react-query";
+import { ACTIVITY_SOURCE, createApiActivity } from "../activity";
+import ApiActivityProvider from "../../components/api-activity-provider";
+import { useApi } from "./useApi";
+import { useIsFetching } from "./useIsFetching";
+
+const createDeferred = () => {
+  let resolve;
+  const promise = new Promise((res) => (resolve = res));
+  return { promise, resolve };
+};
+
+const createWrapper =
+  (tracker, queryClient) =>
+  ({ children }) =>
+    (
+      <ApiActivityProvider tracker={tracker} queryClient={queryClient}>
+        {children}
+      </ApiActivityProvider>
+    );
+
+describe("useIsFetching", () => {
+  it("counts useApi calls in flight", async () => {
+    const tracker = createApiActivity();
+    const deferred = createDeferred();
+    const { result } = renderHook(
+      () => ({
+        api: useApi(() => deferred.promise),
+        fetching: useIsFetching({ source: ACTIVITY_SOURCE.HOOK }),
+      }),
+      { wrapper: createWrapper(tracker) }
+    );
+
+    let call;
+    act(() => {
+      call = result.current.api.exec();
+    });
+    expect(result.current.fetching).toBe(1);
+
+    await act(async () => {
+      deferred.resolve("done");
+      await call;
+    });
+    expect(result.current.fetching).toBe(0);
+  });
+
+  it("counts react-query fetches", async () => {
+    const tracker = createApiActivity();
+    const queryClient = new QueryClient();
+    const Wrapper = createWrapper(tracker, queryClient);
+    const deferred = createDeferred();
+    const { result } = renderHook(
+      () => {
+        useQuery("quotes", () => deferred.promise);
+        return useIsFetching({ source: ACTIVITY_SOURCE.REACT_QUERY });
+      },
+      {
+        wrapper: ({ children }) => (
+          <QueryClientProvider client={queryClient}>
+            <Wrapper>{children}</Wrapper>
+          </QueryClientProvider>
+        ),
+      }
+    );
+
+    await waitFor(() => expect(result.current).toBe(1));
+    await act(async () => {
+      deferred.resolve([]);
+    });
+    await waitFor(() => expect(result.current).toBe(0));
+  });
+});
@@ -0,0 +1,20 @@
+import { useSyncExternalStore } from "react";
+import { outbox as defaultOutbox } from "../api";
+
+// Pending, failed and recently synced requests kept by the offline outbox
+export const useOutbox = (outbox = defaultOutbox) => {
+  const { pending, failed, synced } = useSyncExternalStore(
+    outbox.subscribe,
+    outbox.getSnapshot
+  );
+
+  return {
+    pending,
+    failed,
+    synced,
+    replay: outbox.replay,
+    retry: outbox.retry,
+    discard: outbox.discard,
+    clearSynced: outbox.clearSynced,
+  };
+};
@@ -0,0 +1,22 @@
+// Host a request goes to, e.g. "www.themealdb.com". Requests without their
+// own `baseURL` go to `defaultBaseURL`, the one of the api client.
+export const getHost = ({ url, config }, defaultBaseURL = "") => {
+  try {
+    const base = new URL(
+      config.baseURL ?? defaultBaseURL,
+      window.location.origin
+    );
+    return new URL(url, base).host;
+  } catch {
+    return "";
+  }
+};
+
+// Accepts a url or a bare host
+export const toHost = (value) => {
+  try {
+    return new URL(value).host;
+  } catch {
+    return value;
+  }
+};
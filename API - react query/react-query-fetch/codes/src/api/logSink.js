@@ -0,0 +1,149 @@
+export const LOG_LEVEL = {
+  DEBUG: "debug",
+  INFO: "info",
+  WARN: "warn",
+  ERROR: "error",
+  SILENT: "silent",
+};
+
+const LEVEL_RANK = {
+  [LOG_LEVEL.DEBUG]: 0,
+  [LOG_LEVEL.INFO]: 1,
+  [LOG_LEVEL.WARN]: 2,
+  [LOG_LEVEL.ERROR]: 3,
+  [LOG_LEVEL.SILENT]: 4,
+};
+
+export const REDACTED = "[redacted]";
+
+const defaultRedact = {
+  headers: ["authorization", "cookie", "set-cookie", "x-api-key"],
+  body: [/password/i, /token/i, /secret/i],
+  // Query params, in `params` and in the url
+  params: [/password/i, /token/i, /secret/i, /api[-_]?key/i],
+};
+
+// Rules are header or field names (any case) or regular expressions
+const matches = (rules, key) =>
+  rules.some((rule) =>
+    rule instanceof RegExp
+      ? rule.test(key)
+      : rule.toLowerCase() === key.toLowerCase()
+  );
+
+const redactHeaders = (headers, rules) =>
+  Object.fromEntries(
+    Object.entries(headers?.toJSON?.() ?? headers ?? {}).map(([key, value]) => [
+      key,
+      matches(rules, key) ? REDACTED : value,
+    ])
+  );
+
+const redactBody = (body, rules) => {
+  if (typeof FormData !== "undefined" && body instanceof FormData) {
+    return "[FormData]";
+  }
+  if (Array.isArray(body)) return body.map((item) => redactBody(item, rules));
+  if (!body || typeof body !== "object" || body.constructor !== Object) {
+    return body;
+  }
+  return Object.fromEntries(
+    Object.entries(body).map(([key, value]) => [
+      key,
+      matches(rules, key) ? REDACTED : redactBody(value, rules),
+    ])
+  );
+};
+
+const redactParams = (params, rules) =>
+  redactBody(
+    params instanceof URLSearchParams ? Object.fromEntries(params) : params,
+    rules
+  );
+
+// "search?s=fish&api_key=abc" -> "search?s=fish&api_key=[redacted]", the
+// rest of the url is kept as it was written
+const redactUrl = (url, rules) => {
+  const queryStart = url?.indexOf("?") ?? -1;
+  if (queryStart === -1) return url;
+  const hashStart = url.indexOf("#", queryStart);
+  const queryEnd = hashStart === -1 ? url.length : hashStart;
+  const query = url
+    .slice(queryStart + 1, queryEnd)
+    .split("&")
+    .map((pair) => {
+      const [key] = pair.split("=");
+      return key && matches(rules, decodeURIComponent(key))
+        ? `${key}=${REDACTED}`
+        : pair;
+    })
+    .join("&");
+  return `${url.slice(0, queryStart + 1)}${query}${url.slice(queryEnd)}`;
+};
+
+const consoleMethods = {
+  [LOG_LEVEL.DEBUG]: "debug",
+  [LOG_LEVEL.INFO]: "info",
+  [LOG_LEVEL.WARN]: "warn",
+  [LOG_LEVEL.ERROR]: "error",
+};
+
+// Keeps the last `capacity` request records in memory, none with a capacity
+// of 0, and prints the ones at or above `level`. Headers, body fields and
+// query params matching `redact` never leave it.
+export const createLogSink = ({
+  level = LOG_LEVEL.WARN,
+  capacity = 100,
+  redact = {},
+  output = console,
+} = {}) => {
+  const rules = { ...defaultRedact, ...redact };
+  const listeners = new Set();
+  // The unredacted request, only used to replay a record
+  const replayRequests = new WeakMap();
+  let records = [];
+  let nextId = 1;
+
+  const write = ({ request, ...record }) => {
+    const entry = {
+      id: nextId++,
+      ...record,
+      url: redactUrl(record.url, rules.params),
+      params: redactParams(record.params, rules.params),
+      headers: redactHeaders(record.headers, rules.headers),
+      body: redactBody(record.body, rules.body),
+      responseHeaders: redactHeaders(record.responseHeaders, rules.headers),
+    };
+    if (request) replayRequests.set(entry, request);
+
+    // Oldest records drop out once the buffer is full
+    records = [...records, entry];
+    records = records.slice(Math.max(0, records.length - capacity));
+    listeners.forEach((listener) => listener());
+
+    if (LEVEL_RANK[entry.level] >= LEVEL_RANK[level]) {
+      const { method, url, status, duration } = entry;
+      output[consoleMethods[entry.level]](
+        `[api] ${method.toUpperCase()} ${url} ${
+          status ?? entry.error?.kind
+        } ${duration}ms`,
+        entry
+      );
+    }
+    return entry;
+  };
+
+  return {
+    write,
+    getReplayRequest: (record) => replayRequests.get(record),
+    clear: () => {
+      records = [];
+      listeners.forEach((listener) => listener());
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => records,
+  };
+};
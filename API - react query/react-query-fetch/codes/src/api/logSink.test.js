@@ -0,0 +1,113 @@
+import { ABORT_REASON } from "./api";
+import { createLogSink, LOG_LEVEL, REDACTED } from "./logSink";
+import { logger } from "./middleware/logger";
+import { createAdapterApi, httpError, httpResponse } from "./test-utils";
+
+const createLoggedApi = (sinkOptions) => {
+  const output = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  };
+  const sink = createLogSink({ output, ...sinkOptions });
+  const api = createAdapterApi(async (config) => {
+    const status = Number(config.params?.status ?? 200);
+    if (status < 400) return httpResponse(config, { ok: true }, status);
+    throw httpError(config, status, { ok: true });
+  });
+  api.use(logger(sink), "logger");
+  return { api, sink, output };
+};
+
+describe("log sink", () => {
+  it("records requests with redacted headers and body fields", async () => {
+    const { api, sink } = createLoggedApi();
+
+    await api.post(
+      "login",
+      { user: { name: "Ann", password: "hunter2" }, accessToken: "abc" },
+      { headers: { Authorization: "Bearer abc", "X-Trace": "1" } }
+    );
+    const [record] = sink.getSnapshot();
+
+    expect(record).toMatchObject({
+      level: LOG_LEVEL.INFO,
+      method: "post",
+      url: "login",
+      status: 200,
+      size: 11,
+      abortReason: null,
+      body: {
+        user: { name: "Ann", password: REDACTED },
+        accessToken: REDACTED,
+      },
+      headers: { Authorization: REDACTED, "X-Trace": "1" },
+    });
+    expect(sink.getReplayRequest(record).body.user.password).toBe("hunter2");
+  });
+
+  it("picks the level from the outcome and prints from the threshold up", async () => {
+    const { api, sink, output } = createLoggedApi({ level: LOG_LEVEL.WARN });
+    const controller = new AbortController();
+    controller.abort();
+
+    await api.get("a", { params: { status: 404 } }).catch(() => {});
+    await api.get("b", { params: { status: 500 } }).catch(() => {});
+    await api.get("c", { signal: controller.signal }).catch(() => {});
+    await api.get("d");
+
+    expect(sink.getSnapshot()).toMatchObject([
+      { url: "a", level: LOG_LEVEL.WARN, status: 404 },
+      { url: "b", level: LOG_LEVEL.ERROR, status: 500 },
+      { url: "c", level: LOG_LEVEL.DEBUG, abortReason: ABORT_REASON.CANCEL },
+      { url: "d", level: LOG_LEVEL.INFO, status: 200 },
+    ]);
+    expect(output.warn).toHaveBeenCalledTimes(1);
+    expect(output.error).toHaveBeenCalledTimes(1);
+    expect(output.debug).not.toHaveBeenCalled();
+    expect(output.info).not.toHaveBeenCalled();
+  });
+
+  it("keeps only the latest records", async () => {
+    const { api, sink } = createLoggedApi({ capacity: 2 });
+
+    await api.get("a");
+    await api.get("b");
+    await api.get("c");
+
+    expect(sink.getSnapshot().map(({ url }) => url)).toEqual(["b", "c"]);
+  });
+
+  it("redacts query params, in the config and in the url", async () => {
+    const { api, sink } = createLoggedApi();
+
+    await api.get("search?s=fish&api_key=abc#top", {
+      params: { token: "abc", page: 2 },
+    });
+    const [record] = sink.getSnapshot();
+
+    expect(record.url).toBe(`search?s=fish&api_key=${REDACTED}#top`);
+    expect(record.params).toEqual({ token: REDACTED, page: 2 });
+    expect(sink.getReplayRequest(record).url).toBe(
+      "search?s=fish&api_key=abc#top"
+    );
+  });
+
+  it("keeps the latest record with a capacity of one", async () => {
+    const { api, sink } = createLoggedApi({ capacity: 1 });
+
+    await api.get("a");
+    await api.get("b");
+
+    expect(sink.getSnapshot().map(({ url }) => url)).toEqual(["b"]);
+  });
+
+  it("keeps no records with a capacity of zero", async () => {
+    const { api, sink } = createLoggedApi({ capacity: 0 });
+
+    await api.get("a");
+
+    expect(sink.getSnapshot()).toEqual([]);
+  });
+});
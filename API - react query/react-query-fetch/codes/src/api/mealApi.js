@@ -1,17 +1,29 @@
-import api from "./api";
+import { defineEndpoints } from "./defineEndpoints";
+import { array, from, object, optional, string, transform } from "./schema";
 
-const URLS = {
-  getMeal: "search.php",
-};
+// themealdb prefixes every field with its type, e.g. `strMeal`
+const meal = object({
+  id: from("idMeal", string({ coerce: true })),
+  name: from("strMeal", string()),
+  category: from("strCategory", optional(string())),
+  area: from("strArea", optional(string())),
+  thumbnail: from("strMealThumb", optional(string())),
+});
 
-export const searchMeals = (query, config) => {
-  return api
-    .get(URLS.getMeal, {
-      baseURL: "https://www.themealdb.com/api/json/v1/1/",
-      params: {
-        s: query,
-      },
-      ...config,
-    })
-    .then((res) => res.data.meals);
-};
+export const { searchMeals } = defineEndpoints({
+  searchMeals: {
+    service: "meals",
+    path: "search.php",
+    query: (query) => ({ s: query }),
+    // `meals` is null when nothing matches the query
+    schema: transform(
+      object({ meals: optional(array(meal), []) }),
+      ({ meals }) => meals
+    ),
+    config: {
+      retry: 2,
+      // Repeating a query is answered from the cache and refreshed in the background
+      cache: { ttl: 60 * 1000, staleWhileRevalidate: 5 * 60 * 1000 },
+    },
+  },
+});
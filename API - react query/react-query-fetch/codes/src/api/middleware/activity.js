@@ -0,0 +1,16 @@
+import { ACTIVITY_SOURCE } from "../activity";
+
+// Counts every client request as in flight until it settles, including the
+// time it waits in the rate limit and concurrency queues
+export const activity = (tracker) => async (request, next) => {
+  const end = tracker.start({
+    source: ACTIVITY_SOURCE.API,
+    method: request.method,
+    url: request.url,
+  });
+  try {
+    return await next();
+  } finally {
+    end();
+  }
+};
@@ -0,0 +1,65 @@
+import { detachAbort, untilAborted } from "../abortable";
+
+const withToken = (request, token) =>
+  token
+    ? {
+        ...request,
+        config: {
+          ...request.config,
+          headers: {
+            ...request.config.headers,
+            Authorization: `Bearer ${token}`,
+          },
+        },
+      }
+    : request;
+
+// Only our own backend gets the token, not third parties set via `baseURL`
+const isOwnBackend = (request) => !request.config.baseURL;
+
+export const auth = ({
+  getAccessToken,
+  refresh,
+  shouldAuthenticate = isOwnBackend,
+}) => {
+  let refreshing = null;
+
+  // Every 401 that arrives during a refresh shares the same refresh call
+  const refreshOnce = () => {
+    if (!refreshing) {
+      refreshing = Promise.resolve()
+        .then(refresh)
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  };
+
+  return async (request, next) => {
+    if (!shouldAuthenticate(request)) return next(request);
+
+    const { config, signals } = detachAbort(request.config);
+    const heldRequest = { ...request, config };
+
+    // Requests made while a refresh is running wait for its outcome
+    if (refreshing) await untilAborted(refreshing, signals);
+    const token =
+      (await getAccessToken()) ?? (await untilAborted(refreshOnce(), signals));
+
+    try {
+      return await next(withToken(heldRequest, token));
+    } catch (error) {
+      if (error.response?.status !== 401) throw error;
+
+      // Another request may have refreshed the token in the meantime
+      const currentToken = await getAccessToken();
+      const freshToken =
+        currentToken && currentToken !== token
+          ? currentToken
+          : await untilAborted(refreshOnce(), signals);
+
+      return next(withToken(heldRequest, freshToken));
+    }
+  };
+};
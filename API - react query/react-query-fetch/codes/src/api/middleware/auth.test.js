@@ -0,0 +1,97 @@
+import { didAbort } from "../api";
+import { createAdapterApi, httpError, httpResponse } from "../test-utils";
+import { auth } from "./auth";
+
+const VALID_TOKEN = "fresh";
+
+const createAuthApi = ({ refresh }) => {
+  const seenTokens = [];
+  const api = createAdapterApi(async (config) => {
+    const token = config.headers.Authorization?.replace("Bearer ", "");
+    seenTokens.push(token);
+    if (token === VALID_TOKEN) return httpResponse(config, { url: config.url });
+    throw httpError(config, 401, { url: config.url });
+  });
+  let accessToken = "expired";
+
+  api.use(
+    auth({
+      getAccessToken: () => accessToken,
+      refresh: () =>
+        refresh().then((token) => {
+          accessToken = token;
+          return token;
+        }),
+    }),
+    "auth"
+  );
+  return { api, seenTokens };
+};
+
+describe("auth middleware", () => {
+  it("runs a single refresh for concurrent 401s and replays them", async () => {
+    const refresh = jest.fn(() => Promise.resolve(VALID_TOKEN));
+    const { api, seenTokens } = createAuthApi({ refresh });
+
+    const responses = await Promise.all([
+      api.get("quotes"),
+      api.get("top_quotes"),
+      api.post("quotes", {}),
+    ]);
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(responses.map(({ data }) => data.url)).toEqual([
+      "quotes",
+      "top_quotes",
+      "quotes",
+    ]);
+    expect(seenTokens.filter((token) => token === VALID_TOKEN)).toHaveLength(3);
+  });
+
+  it("fails every waiting request when the refresh fails", async () => {
+    const refreshError = new Error("Refresh failed");
+    const { api } = createAuthApi({
+      refresh: () => Promise.reject(refreshError),
+    });
+
+    const results = await Promise.allSettled([
+      api.get("quotes"),
+      api.get("top_quotes"),
+    ]);
+
+    expect(results).toEqual([
+      { status: "rejected", reason: refreshError },
+      { status: "rejected", reason: refreshError },
+    ]);
+  });
+
+  it("lets queued requests be aborted while the refresh runs", async () => {
+    let finishRefresh;
+    const { api } = createAuthApi({
+      refresh: () => new Promise((resolve) => (finishRefresh = resolve)),
+    });
+    let cancel;
+
+    const first = api.get("quotes");
+    await new Promise((resolve) => setTimeout(resolve));
+    const queued = api.get("top_quotes", { abort: (c) => (cancel = c) });
+    cancel();
+    finishRefresh(VALID_TOKEN);
+
+    expect(didAbort(await queued.catch((e) => e))).toEqual({
+      aborted: true,
+      reason: "cancel",
+    });
+    await expect(first).resolves.toMatchObject({ status: 200 });
+  });
+
+  it("leaves third-party requests without a token", async () => {
+    const refresh = jest.fn(() => Promise.resolve(VALID_TOKEN));
+    const { api, seenTokens } = createAuthApi({ refresh });
+
+    await api.get("users", { baseURL: "https://example.com/" }).catch(() => {});
+
+    expect(seenTokens).toEqual([undefined]);
+    expect(refresh).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+import axios from "axios";
+import { detachAbort, untilAborted } from "../abortable";
+
+// "quotes/1" + { a: 1 } -> "/quotes/1?a=1", relative to the server root
+const toSubRequestUrl = (url, params) => {
+  const path = `/${url.replace(/^\//, "")}`;
+  const query = params ? new URLSearchParams(params).toString() : "";
+  return query ? `${path}?${query}` : path;
+};
+
+// Turns a sub-response into what axios would have resolved or rejected with
+const toResponse = ({ status, headers = {}, body }, config) => {
+  const response = {
+    data: body,
+    status,
+    statusText: "",
+    headers,
+    config,
+    request: null,
+  };
+  if (status < 400) return response;
+
+  throw new axios.AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500
+      ? axios.AxiosError.ERR_BAD_RESPONSE
+      : axios.AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  );
+};
+
+// Only our own backend has the batch route. Cached GETs keep using the cache.
+const canBatch = ({ method, config }) =>
+  method === "get" && !config.baseURL && !config.cache;
+
+const chunk = (items, size) =>
+  Array.from({ length: Math.ceil(items.length / size) }, (_, index) =>
+    items.slice(index * size, (index + 1) * size)
+  );
+
+// GETs opted in with `batch: true` that are issued in the same tick go out
+// as one `send(requests)` call. Identical URLs share one sub-request.
+export const batch = ({ send, maxBatchSize = 20 }) => {
+  let queue = [];
+  let timer = null;
+
+  const sendBatch = async (entries) => {
+    const urls = [...new Set(entries.map(({ url }) => url))];
+
+    try {
+      const { data } = await send(urls.map((url) => ({ method: "GET", url })));
+      for (const entry of entries) {
+        const subResponse = data.responses[urls.indexOf(entry.url)];
+        // Sent again on its own, so the auth middleware can refresh the token
+        if (subResponse.status === 401) {
+          entry.sendAlone().then(entry.resolve, entry.reject);
+          continue;
+        }
+        try {
+          entry.resolve(toResponse(subResponse, entry.config));
+        } catch (error) {
+          entry.reject(error);
+        }
+      }
+    } catch (error) {
+      entries.forEach(({ reject }) => reject(error));
+    }
+  };
+
+  const flush = () => {
+    const entries = queue.filter(
+      ({ signals }) => !signals.some((signal) => signal.aborted)
+    );
+    queue = [];
+    timer = null;
+
+    for (const group of chunk(entries, maxBatchSize)) {
+      if (group.length > 1) {
+        sendBatch(group);
+        continue;
+      }
+      const [{ sendAlone, resolve, reject }] = group;
+      sendAlone().then(resolve, reject);
+    }
+  };
+
+  return (request, next) => {
+    const { batch: shouldBatch = false, ...restConfig } = request.config;
+    if (!shouldBatch || !canBatch({ ...request, config: restConfig })) {
+      return next({ ...request, config: restConfig });
+    }
+
+    const { config, signals } = detachAbort(restConfig);
+    const promise = new Promise((resolve, reject) => {
+      queue.push({
+        url: toSubRequestUrl(request.url, config.params),
+        config: { ...config, method: "get", url: request.url },
+        // A request with nothing to share a batch with skips the batch route
+        sendAlone: () => next({ ...request, config }),
+        signals,
+        resolve,
+        reject,
+      });
+    });
+
+    if (!timer) timer = setTimeout(flush, 0);
+    return untilAborted(promise, signals);
+  };
+};
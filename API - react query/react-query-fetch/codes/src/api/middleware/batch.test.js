@@ -0,0 +1,126 @@
+import { API_ERROR_KIND } from "../api";
+import { createAdapterApi, httpError, httpResponse } from "../test-utils";
+import { auth } from "./auth";
+import { batch } from "./batch";
+
+const quotes = { 1: { id: "1" }, 2: { id: "2" } };
+
+const createBatchedApi = (options) => {
+  const calls = [];
+  const api = createAdapterApi(async (config) => {
+    calls.push(`${config.method} ${config.url}`);
+    const data =
+      config.url === "batch"
+        ? {
+            responses: JSON.parse(config.data).requests.map(({ url }) => {
+              const quote = quotes[url.split("/").pop()];
+              return quote
+                ? { status: 200, body: quote }
+                : { status: 404, body: { error: "Quote not found" } };
+            }),
+          }
+        : quotes[config.url.split("/").pop()];
+    return httpResponse(config, data);
+  });
+  api.use(
+    batch({ send: (requests) => api.post("batch", { requests }), ...options }),
+    "batch"
+  );
+  return { api, calls };
+};
+
+describe("batch middleware", () => {
+  it("sends GETs from the same tick as one batch call", async () => {
+    const { api, calls } = createBatchedApi();
+
+    const [first, second, missing] = await Promise.all([
+      api.get("quotes/1", { batch: true }),
+      api.get("quotes/2", { batch: true }),
+      api.get("quotes/3", { batch: true }).catch((e) => e),
+    ]);
+
+    expect(calls).toEqual(["post batch"]);
+    expect(first.data).toEqual({ id: "1" });
+    expect(second.data).toEqual({ id: "2" });
+    expect(missing).toMatchObject({
+      kind: API_ERROR_KIND.HTTP_CLIENT,
+      status: 404,
+    });
+  });
+
+  it("sends a lone request as is and leaves others alone", async () => {
+    const { api, calls } = createBatchedApi();
+
+    await api.get("quotes/1", { batch: true });
+    await Promise.all([api.get("quotes/1"), api.get("quotes/2")]);
+
+    expect(calls).toEqual(["get quotes/1", "get quotes/1", "get quotes/2"]);
+  });
+
+  it("splits batches over the size limit and drops aborted requests", async () => {
+    const { api, calls } = createBatchedApi({ maxBatchSize: 2 });
+    const controller = new AbortController();
+
+    const requests = [
+      api.get("quotes/1", { batch: true }),
+      api.get("quotes/2", { batch: true }),
+      api.get("quotes/1", { batch: true, params: { lang: "en" } }),
+      api.get("quotes/2", { batch: true, signal: controller.signal }),
+    ];
+    controller.abort();
+    const results = await Promise.allSettled(requests);
+
+    expect(calls).toEqual(["post batch", "get quotes/1"]);
+    expect(results.map(({ status }) => status)).toEqual([
+      "fulfilled",
+      "fulfilled",
+      "fulfilled",
+      "rejected",
+    ]);
+    expect(results[3].reason.kind).toBe(API_ERROR_KIND.ABORTED);
+  });
+
+  it("sends sub-requests answered with a 401 again through auth", async () => {
+    let accessToken = "expired";
+    const seenTokens = [];
+    const respond = (token, url) => {
+      seenTokens.push(`${token} ${url}`);
+      return token === "fresh"
+        ? { status: 200, body: quotes[url.split("/").pop()] }
+        : { status: 401, body: { error: "Unauthorized" } };
+    };
+    const api = createAdapterApi(async (config) => {
+      const token = config.headers.Authorization?.replace("Bearer ", "");
+      if (config.url === "batch") {
+        const { requests } = JSON.parse(config.data);
+        return httpResponse(config, {
+          responses: requests.map(({ url }) => respond(token, url.slice(1))),
+        });
+      }
+      const { status, body } = respond(token, config.url);
+      if (status === 200) return httpResponse(config, body);
+      throw httpError(config, status, body);
+    });
+    const refresh = jest.fn(async () => {
+      accessToken = "fresh";
+      return accessToken;
+    });
+    api.use(
+      batch({ send: (requests) => api.post("batch", { requests }) }),
+      "batch"
+    );
+    api.use(auth({ getAccessToken: () => accessToken, refresh }), "auth");
+
+    const responses = await Promise.all([
+      api.get("quotes/1", { batch: true }),
+      api.get("quotes/2", { batch: true }),
+    ]);
+
+    expect(responses.map(({ data }) => data)).toEqual([
+      { id: "1" },
+      { id: "2" },
+    ]);
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(seenTokens.slice(-2)).toEqual(["fresh quotes/1", "fresh quotes/2"]);
+  });
+});
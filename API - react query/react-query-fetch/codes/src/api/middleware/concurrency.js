@@ -0,0 +1,97 @@
+import { detachAbort, untilAborted } from "../abortable";
+import { getHost } from "../host";
+
+export const REQUEST_PRIORITY = {
+  USER_INITIATED: "user-initiated",
+  BACKGROUND: "background",
+};
+
+const PRIORITY_RANK = {
+  [REQUEST_PRIORITY.USER_INITIATED]: 1,
+  [REQUEST_PRIORITY.BACKGROUND]: 0,
+};
+
+// Caps requests in flight globally and per host. The rest wait in a queue,
+// user-initiated ones ahead of background ones, first come first served.
+// Requests `bypass` returns true for, e.g. cache hits, skip the queue.
+// `baseURL` is the client's default, to tell the host of relative urls.
+export const concurrency = ({
+  maxConcurrent = 6,
+  maxPerHost = 4,
+  bypass = () => false,
+  baseURL,
+} = {}) => {
+  let active = 0;
+  const activePerHost = new Map();
+  const queue = [];
+
+  const hasCapacity = (host) =>
+    active < maxConcurrent && (activePerHost.get(host) ?? 0) < maxPerHost;
+
+  const acquire = (host) => {
+    active++;
+    activePerHost.set(host, (activePerHost.get(host) ?? 0) + 1);
+  };
+
+  const release = (host) => {
+    active--;
+    const hostActive = activePerHost.get(host) - 1;
+    if (hostActive) activePerHost.set(host, hostActive);
+    else activePerHost.delete(host);
+    drain();
+  };
+
+  const drain = () => {
+    for (let index = 0; index < queue.length && active < maxConcurrent; ) {
+      const entry = queue[index];
+      if (!hasCapacity(entry.host)) {
+        index++;
+        continue;
+      }
+      queue.splice(index, 1);
+      acquire(entry.host);
+      entry.granted = true;
+      entry.grant();
+    }
+  };
+
+  const enqueue = (entry) => {
+    const index = queue.findIndex(({ rank }) => rank < entry.rank);
+    queue.splice(index === -1 ? queue.length : index, 0, entry);
+    drain();
+  };
+
+  return async (request, next) => {
+    const { priority = REQUEST_PRIORITY.USER_INITIATED, ...restConfig } =
+      request.config;
+    if (bypass(request)) return next({ ...request, config: restConfig });
+
+    const { config, signals } = detachAbort(restConfig);
+    const entry = {
+      host: getHost(request, baseURL),
+      rank:
+        PRIORITY_RANK[priority] ??
+        PRIORITY_RANK[REQUEST_PRIORITY.USER_INITIATED],
+      granted: false,
+    };
+    const slot = new Promise((resolve) => (entry.grant = resolve));
+
+    enqueue(entry);
+    try {
+      // Queued requests stay cancellable through the caller's `abort`. One
+      // with a free slot goes on in the same tick, so identical requests
+      // right after it find it in flight and join it.
+      if (!entry.granted) await untilAborted(slot, signals);
+    } catch (error) {
+      if (entry.granted) release(entry.host);
+      else queue.splice(queue.indexOf(entry), 1);
+      throw error;
+    }
+
+    try {
+      return await next({ ...request, config });
+    } finally {
+      release(entry.host);
+    }
+  };
+};
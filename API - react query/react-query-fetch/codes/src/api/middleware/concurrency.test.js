@@ -0,0 +1,123 @@
+import { API_ERROR_KIND, didAbort } from "../api";
+import { createAdapterApi, httpResponse } from "../test-utils";
+import { concurrency, REQUEST_PRIORITY } from "./concurrency";
+
+const createControlledApi = (options) => {
+  const pending = [];
+  const started = [];
+  const api = createAdapterApi(
+    (config) =>
+      new Promise((resolve) => {
+        started.push(config.url);
+        pending.push(() => resolve(httpResponse(config, config.url)));
+      })
+  );
+  api.use(concurrency({ bypass: api.canReuse, ...options }), "concurrency");
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve));
+  const finishNext = async () => {
+    pending.shift()();
+    await flush();
+  };
+  return { api, started, flush, finishNext };
+};
+
+describe("concurrency middleware", () => {
+  it("caps requests in flight and runs user-initiated ones first", async () => {
+    const { api, started, flush, finishNext } = createControlledApi({
+      maxConcurrent: 1,
+    });
+    const background = { priority: REQUEST_PRIORITY.BACKGROUND };
+
+    const requests = [
+      api.get("first", { dedupe: false }),
+      api.get("prefetch", { ...background, dedupe: false }),
+      api.get("search", { dedupe: false }),
+    ];
+    await flush();
+    expect(started).toEqual(["first"]);
+
+    await finishNext();
+    await finishNext();
+    await finishNext();
+
+    expect(started).toEqual(["first", "search", "prefetch"]);
+    await Promise.all(requests);
+  });
+
+  it("caps requests per host", async () => {
+    const { api, started, flush } = createControlledApi({ maxPerHost: 1 });
+
+    api.get("a", { baseURL: "https://one.example/" });
+    api.get("b", { baseURL: "https://one.example/" });
+    api.get("c", { baseURL: "https://two.example/" });
+    await flush();
+
+    expect(started).toEqual(["a", "c"]);
+  });
+
+  it("lets cache hits and requests joining one in flight skip the queue", async () => {
+    const { api, started, flush, finishNext } = createControlledApi({
+      maxPerHost: 1,
+    });
+
+    const users = Array.from({ length: 5 }, () =>
+      api.get("users/2", { cache: true })
+    );
+    const other = api.get("other");
+    await flush();
+    expect(started).toEqual(["users/2"]);
+
+    await finishNext();
+    await Promise.all(users);
+    // "other" holds the only slot now
+    await expect(api.get("users/2", { cache: true })).resolves.toMatchObject({
+      data: "users/2",
+    });
+
+    expect(started).toEqual(["users/2", "other"]);
+    await finishNext();
+    await other;
+
+    const posts = [api.get("posts"), api.get("posts")];
+    await flush();
+    await finishNext();
+    await Promise.all(posts);
+    expect(started).toEqual(["users/2", "other", "posts"]);
+  });
+
+  it("lets queued requests be aborted", async () => {
+    const { api, started, flush, finishNext } = createControlledApi({
+      maxConcurrent: 1,
+    });
+    let cancel;
+
+    api.get("first");
+    const queued = api
+      .get("queued", { abort: (c) => (cancel = c) })
+      .catch((e) => e);
+    const next = api.get("next");
+    cancel();
+    await flush();
+    await finishNext();
+
+    expect(didAbort(await queued)).toBeTruthy();
+    expect(started).toEqual(["first", "next"]);
+    await finishNext();
+    await expect(next).resolves.toMatchObject({ data: "next" });
+  });
+
+  it("counts the time spent in the queue toward the timeout", async () => {
+    const { api, started, finishNext } = createControlledApi({
+      maxConcurrent: 1,
+    });
+
+    api.get("first");
+    const error = await api.get("queued", { timeout: 10 }).catch((e) => e);
+    await finishNext();
+
+    expect(error.kind).toBe(API_ERROR_KIND.TIMEOUT);
+    expect(didAbort(error)).toEqual({ aborted: true, reason: "timeout" });
+    expect(started).toEqual(["first"]);
+  });
+});
@@ -0,0 +1,19 @@
+import { createId } from "../../helpers/create-id";
+
+// Third parties set via `baseURL` may reject unknown headers in CORS checks
+const isOwnBackend = (request) => !request.config.baseURL;
+
+// Tags each request with an id the server can log, so one call can be
+// followed across both. A header the caller set is kept.
+export const correlationId =
+  ({ header = "X-Correlation-Id", shouldTag = isOwnBackend } = {}) =>
+  (request, next) =>
+    shouldTag(request)
+      ? next({
+          ...request,
+          config: {
+            ...request.config,
+            headers: { [header]: createId(), ...request.config.headers },
+          },
+        })
+      : next(request);
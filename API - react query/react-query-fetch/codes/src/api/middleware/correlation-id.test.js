@@ -0,0 +1,34 @@
+import { createAdapterApi, httpResponse } from "../test-utils";
+import { correlationId } from "./correlation-id";
+
+const createTaggedApi = () => {
+  const sentHeaders = [];
+  const api = createAdapterApi(async (config) => {
+    sentHeaders.push(config.headers["X-Correlation-Id"]);
+    return httpResponse(config);
+  });
+  api.use(correlationId(), "correlationId");
+  return { api, sentHeaders };
+};
+
+describe("correlation id middleware", () => {
+  it("tags each request to our backend with its own id", async () => {
+    const { api, sentHeaders } = createTaggedApi();
+
+    await api.get("quotes");
+    await api.get("quotes");
+    await api.get("quotes", { headers: { "X-Correlation-Id": "mine" } });
+
+    expect(sentHeaders[0]).toEqual(expect.any(String));
+    expect(sentHeaders[1]).not.toBe(sentHeaders[0]);
+    expect(sentHeaders[2]).toBe("mine");
+  });
+
+  it("leaves requests to other backends alone", async () => {
+    const { api, sentHeaders } = createTaggedApi();
+
+    await api.get("users", { baseURL: "https://jsonplaceholder.typicode.com" });
+
+    expect(sentHeaders).toEqual([undefined]);
+  });
+});
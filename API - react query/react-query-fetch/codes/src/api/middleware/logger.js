@@ -0,0 +1,74 @@
+import { didAbort } from "../abortable";
+import { toApiError } from "../apiError";
+import { LOG_LEVEL } from "../logSink";
+
+const getSize = (response) => {
+  const contentLength = Number(response?.headers?.["content-length"]);
+  if (contentLength) return contentLength;
+  if (response?.data == null) return 0;
+
+  const data =
+    typeof response.data === "string"
+      ? response.data
+      : JSON.stringify(response.data);
+  return new Blob([data]).size;
+};
+
+const getLevel = (status, error) => {
+  if (didAbort(error)) return LOG_LEVEL.DEBUG;
+  if (status >= 400 && status < 500) return LOG_LEVEL.WARN;
+  return error ? LOG_LEVEL.ERROR : LOG_LEVEL.INFO;
+};
+
+// Records every request in `sink`. Headers come from the config that was
+// actually sent, so the ones added by later middlewares (auth) show up too.
+export const logger = (sink) => async (request, next) => {
+  const { method, url, body, config } = request;
+  const startedAt = Date.now();
+
+  const log = (response, error) => {
+    const apiError = error && toApiError(error);
+    const status = response?.status ?? apiError?.status ?? null;
+    const abort = didAbort(error);
+    const rawResponse =
+      response ?? error?.response ?? apiError?.cause?.response;
+    // Callbacks and signals belong to the original caller, not to a replay
+    const {
+      abort: abortCallback,
+      signal,
+      timeout,
+      onUploadProgress,
+      onDownloadProgress,
+      ...replayConfig
+    } = config;
+
+    sink.write({
+      level: getLevel(status, error),
+      method,
+      url,
+      baseURL: config.baseURL,
+      params: config.params,
+      headers: (response ?? apiError)?.config?.headers ?? config.headers,
+      body,
+      status,
+      size: getSize(rawResponse),
+      responseHeaders: rawResponse?.headers,
+      duration: Date.now() - startedAt,
+      startedAt,
+      abortReason: abort ? abort.reason : null,
+      error: apiError
+        ? { kind: apiError.kind ?? null, message: apiError.message }
+        : null,
+      request: { method, url, body, config: replayConfig },
+    });
+  };
+
+  try {
+    const response = await next(request);
+    log(response);
+    return response;
+  } catch (error) {
+    log(null, error);
+    throw error;
+  }
+};
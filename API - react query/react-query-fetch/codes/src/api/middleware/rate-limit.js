@@ -0,0 +1,71 @@
+import { detachAbort, untilAborted } from "../abortable";
+import { API_ERROR_KIND, ApiError, getRetryAfter } from "../apiError";
+import { getHost } from "../host";
+
+const sleep = (time) => new Promise((resolve) => setTimeout(resolve, time));
+
+// Only a 429 is a rate limit on its own, a 503 needs a Retry-After header
+const getCooldownTime = (response, defaultRetryAfter) => {
+  if (response?.status === 429) {
+    return getRetryAfter(response) ?? defaultRetryAfter;
+  }
+  if (response?.status === 503) return getRetryAfter(response);
+  return null;
+};
+
+// Requests `bypass` returns true for, e.g. cache hits, go through during a
+// cooldown since they never reach the host. `baseURL` is the client's
+// default, to tell the host of relative urls.
+export const rateLimit = ({
+  bypass = () => false,
+  baseURL,
+  maxRetries = 1,
+  maxWait = 10 * 1000,
+  defaultRetryAfter = 1000,
+  policies = {},
+} = {}) => {
+  const cooldowns = new Map();
+
+  const getCooldown = (host) =>
+    Math.max(0, (cooldowns.get(host) ?? 0) - Date.now());
+
+  const startCooldown = (host, time) =>
+    cooldowns.set(host, Math.max(cooldowns.get(host) ?? 0, Date.now() + time));
+
+  const middleware = async (request, next) => {
+    if (bypass(request)) return next(request);
+
+    const host = getHost(request, baseURL);
+    const policy = { maxRetries, maxWait, ...policies[host] };
+    const { config, signals } = detachAbort(request.config);
+
+    for (let attempt = 0; ; attempt++) {
+      const cooldown = getCooldown(host);
+      if (cooldown > policy.maxWait) {
+        throw new ApiError({
+          kind: API_ERROR_KIND.HTTP_CLIENT,
+          message: `Too many requests to ${host}`,
+          status: 429,
+          retryAfter: cooldown,
+        });
+      }
+      // Requests to a throttled host are held back until its cooldown ends
+      if (cooldown > 0) await untilAborted(sleep(cooldown), signals);
+
+      try {
+        return await next({ ...request, config });
+      } catch (error) {
+        const cooldownTime = getCooldownTime(error.response, defaultRetryAfter);
+        if (cooldownTime === null) throw error;
+
+        startCooldown(host, cooldownTime);
+        if (attempt >= policy.maxRetries || cooldownTime > policy.maxWait) {
+          throw error;
+        }
+      }
+    }
+  };
+
+  middleware.getCooldown = getCooldown;
+  return middleware;
+};
@@ -0,0 +1,102 @@
+import { API_ERROR_KIND } from "../api";
+import { createAdapterApi, httpError, httpResponse } from "../test-utils";
+import { parseRetryAfter } from "../apiError";
+import { rateLimit } from "./rate-limit";
+
+const createThrottledApi = (responses, options) => {
+  const calls = [];
+  const api = createAdapterApi(async (config) => {
+    calls.push(config.url);
+    const { status = 200, headers = {} } = responses.shift() ?? {};
+    if (status === 200) return httpResponse(config, config.url, 200, headers);
+    throw httpError(config, status, config.url, headers);
+  });
+  const limiter = rateLimit({ bypass: api.canReuse, ...options });
+  api.use(limiter, "rateLimit");
+  return { api, calls, limiter };
+};
+
+describe("parseRetryAfter", () => {
+  it("reads seconds and HTTP dates", () => {
+    const now = Date.parse("Wed, 21 Oct 2026 07:28:00 GMT");
+
+    expect(parseRetryAfter("12", now)).toBe(12000);
+    expect(parseRetryAfter("Wed, 21 Oct 2026 07:28:30 GMT", now)).toBe(30000);
+    expect(parseRetryAfter("Wed, 21 Oct 2026 07:27:00 GMT", now)).toBe(0);
+    expect(parseRetryAfter("soon", now)).toBeNull();
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+  });
+});
+
+describe("rate limit middleware", () => {
+  it("waits for Retry-After and retries", async () => {
+    const { api, calls } = createThrottledApi([
+      { status: 429, headers: { "retry-after": "0.01" } },
+    ]);
+
+    await expect(api.get("quotes")).resolves.toMatchObject({ status: 200 });
+    expect(calls).toEqual(["quotes", "quotes"]);
+  });
+
+  it("holds other requests to the host during the cooldown", async () => {
+    const { api, calls, limiter } = createThrottledApi(
+      [{ status: 503, headers: { "retry-after": "0.05" } }],
+      { maxRetries: 0 }
+    );
+
+    const error = await api.get("quotes").catch((e) => e);
+    const cooldown = limiter.getCooldown(window.location.host);
+    const start = Date.now();
+    await api.get("top_quotes");
+
+    expect(error).toMatchObject({ status: 503, retryAfter: 50 });
+    expect(cooldown).toBeGreaterThan(0);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(cooldown - 5);
+    expect(calls).toEqual(["quotes", "top_quotes"]);
+  });
+
+  it("fails fast when the cooldown is longer than the policy allows", async () => {
+    const { api, calls } = createThrottledApi(
+      [{ status: 429, headers: { "retry-after": "120" } }],
+      { policies: { [window.location.host]: { maxWait: 1000 } } }
+    );
+
+    const first = await api.get("quotes").catch((e) => e);
+    const held = await api.get("top_quotes").catch((e) => e);
+
+    expect(first.retryAfter).toBe(120000);
+    expect(held).toMatchObject({
+      kind: API_ERROR_KIND.HTTP_CLIENT,
+      status: 429,
+    });
+    expect(held.retryAfter).toBeGreaterThan(100000);
+    expect(calls).toEqual(["quotes"]);
+  });
+
+  it("keys relative urls by the client's base url", async () => {
+    const { api, limiter } = createThrottledApi(
+      [{ status: 429, headers: { "retry-after": "120" } }],
+      { maxRetries: 0, baseURL: "http://localhost:9000/" }
+    );
+
+    await api.get("quotes").catch(() => {});
+
+    expect(limiter.getCooldown("localhost:9000")).toBeGreaterThan(0);
+    expect(limiter.getCooldown(window.location.host)).toBe(0);
+  });
+
+  it("still serves cache hits during a cooldown", async () => {
+    const { api, calls } = createThrottledApi(
+      [{}, { status: 429, headers: { "retry-after": "120" } }],
+      { maxRetries: 0 }
+    );
+
+    await api.get("quotes", { cache: true });
+    await api.get("top_quotes").catch(() => {});
+
+    await expect(api.get("quotes", { cache: true })).resolves.toMatchObject({
+      data: "quotes",
+    });
+    expect(calls).toEqual(["quotes", "top_quotes"]);
+  });
+});
@@ -0,0 +1,122 @@
+import axios, { AxiosError } from "axios";
+
+const compilePath = (path) => {
+  const keys = [];
+  const pattern = path.replace(/:(\w+)/g, (_, key) => {
+    keys.push(key);
+    return "([^/]+)";
+  });
+  return { keys, regex: new RegExp(`^${pattern}/?$`) };
+};
+
+const matchRoute = (routes, method, pathname) => {
+  for (const route of routes) {
+    if (route.method !== method) continue;
+    const match = route.compiled.regex.exec(pathname);
+    if (!match) continue;
+
+    const params = Object.fromEntries(
+      route.compiled.keys.map((key, index) => [
+        key,
+        decodeURIComponent(match[index + 1]),
+      ])
+    );
+    return { route, params };
+  }
+  return null;
+};
+
+const parseBody = (data) => {
+  if (typeof data !== "string") return data;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+};
+
+const getLatency = (latency) =>
+  Array.isArray(latency)
+    ? latency[0] + Math.random() * (latency[1] - latency[0])
+    : latency;
+
+const sleep = (time, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new axios.CanceledError());
+    const timeout = setTimeout(resolve, time);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timeout);
+        reject(new axios.CanceledError());
+      },
+      { once: true }
+    );
+  });
+
+// Answers requests from local route handlers instead of the network
+export const createMockAdapter = (
+  routes,
+  { latency = 0, failureRate = 0 } = {}
+) => {
+  const compiledRoutes = routes.map((route) => ({
+    ...route,
+    method: route.method.toLowerCase(),
+    compiled: compilePath(route.path),
+  }));
+
+  const handle = async (method, url, body, config) => {
+    const matched = matchRoute(compiledRoutes, method, url.pathname);
+    if (!matched) {
+      return {
+        status: 404,
+        data: { error: `No mock route for ${method} ${url.pathname}` },
+      };
+    }
+    return matched.route.handler({
+      params: matched.params,
+      query: Object.fromEntries(url.searchParams),
+      body,
+      headers: config.headers,
+      config,
+      // Lets a handler (e.g. `/batch`) answer with other routes
+      dispatch: ({ method = "get", url: path, body }) =>
+        handle(method.toLowerCase(), new URL(path, url), body, config),
+    });
+  };
+
+  return async (config) => {
+    const method = config.method.toLowerCase();
+    const url = new URL(axios.getUri(config), "http://localhost");
+
+    await sleep(getLatency(latency), config.signal);
+
+    if (Math.random() < failureRate) {
+      throw new AxiosError("Network Error", AxiosError.ERR_NETWORK, config);
+    }
+
+    const result = await handle(method, url, parseBody(config.data), config);
+
+    const response = {
+      data: result.data,
+      status: result.status ?? 200,
+      statusText: "",
+      headers: result.headers ?? {},
+      config,
+      request: {},
+    };
+
+    if (!config.validateStatus || config.validateStatus(response.status)) {
+      return response;
+    }
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500
+        ? AxiosError.ERR_BAD_RESPONSE
+        : AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  };
+};
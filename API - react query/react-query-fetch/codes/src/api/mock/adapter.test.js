@@ -0,0 +1,77 @@
+import { API_ERROR_KIND } from "../api";
+import { createAdapterApi } from "../test-utils";
+import { createMockAdapter } from "./adapter";
+import { mockRoutes } from "./routes";
+
+const createMockApi = (options) =>
+  createAdapterApi(createMockAdapter(mockRoutes, options));
+
+describe("mock adapter", () => {
+  it("serves themealdb searches from fixtures", async () => {
+    const api = createMockApi();
+    const config = { baseURL: "https://www.themealdb.com/api/json/v1/1/" };
+
+    const found = await api.get("search.php", {
+      ...config,
+      params: { s: "fish" },
+    });
+    const missing = await api.get("search.php", {
+      ...config,
+      params: { s: "xyz" },
+    });
+
+    expect(found.data.meals.map((meal) => meal.strMeal)).toEqual([
+      "Cajun spiced fish tacos",
+      "Escovitch Fish",
+    ]);
+    expect(missing.data.meals).toBeNull();
+  });
+
+  it("matches path params and answers unknown users with a 404", async () => {
+    const api = createMockApi();
+    const config = { baseURL: "https://jsonplaceholder.typicode.com/" };
+
+    const user = await api.get("users/2", config);
+    const error = await api.get("users/42", config).catch((e) => e);
+
+    expect(user.data.name).toBe("Ervin Howell");
+    expect(error).toMatchObject({
+      kind: API_ERROR_KIND.HTTP_CLIENT,
+      status: 404,
+    });
+  });
+
+  it("pages quotes like the quotes server", async () => {
+    const api = createMockApi();
+
+    const { data } = await api.get("/", { params: { page: 0 } });
+
+    expect(data.quotes).toHaveLength(5);
+    expect(data.hasMore).toBe(true);
+  });
+
+  it("fails only the bad entries of a batch", async () => {
+    const api = createMockApi();
+
+    const { data } = await api.post("/batch", {
+      requests: [
+        null,
+        "/",
+        { method: "post", url: "/" },
+        { url: "/top_quotes" },
+      ],
+    });
+
+    expect(data.responses.map(({ status }) => status)).toEqual([
+      400, 400, 400, 200,
+    ]);
+  });
+
+  it("simulates network failures", async () => {
+    const api = createMockApi({ failureRate: 1 });
+
+    const error = await api.get("top_quotes").catch((e) => e);
+
+    expect(error.kind).toBe(API_ERROR_KIND.NETWORK);
+  });
+});
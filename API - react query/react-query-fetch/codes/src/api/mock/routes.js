@@ -0,0 +1,182 @@
+import meals from "./fixtures/meals.json";
+import quotesFixture from "./fixtures/quotes.json";
+import users from "./fixtures/users.json";
+
+let quotes = [...quotesFixture];
+// Idempotency-Key -> id of the quote it created
+const addedQuotes = new Map();
+
+const QUOTES_LIMIT = 5;
+
+// Mirrors the quotes server in `server/src/index.js`
+const quoteRoutes = [
+  {
+    method: "get",
+    path: "/top_quotes",
+    handler: () => ({ data: { quotes: quotes.slice(0, QUOTES_LIMIT) } }),
+  },
+  {
+    method: "get",
+    path: "/",
+    handler: ({ query }) => {
+      if (query.page) {
+        const offset = parseInt(query.page) * QUOTES_LIMIT;
+        const endIndex = offset + QUOTES_LIMIT;
+        return {
+          data: {
+            quotes: quotes.slice(offset, endIndex),
+            hasMore: endIndex < quotes.length - 1,
+          },
+        };
+      }
+      if (query.cursor) {
+        const cursor = parseInt(query.cursor);
+        const endIndex = cursor + QUOTES_LIMIT;
+        return {
+          data: {
+            quotes: quotes.slice(cursor, endIndex),
+            nextCursor: endIndex < quotes.length - 1 ? endIndex + 1 : null,
+          },
+        };
+      }
+      return {
+        status: 500,
+        data: { error: 'Missing parameters("page" or "cursor"). ' },
+      };
+    },
+  },
+  {
+    method: "post",
+    path: "/",
+    handler: ({ body, headers }) => {
+      if (!body?.quote || !body?.author) {
+        return { status: 400, data: "Please provide author and quote text." };
+      }
+      const idempotencyKey =
+        headers?.get?.("Idempotency-Key") ?? headers?.["Idempotency-Key"];
+      if (idempotencyKey && addedQuotes.has(idempotencyKey)) {
+        return { status: 201, data: { id: addedQuotes.get(idempotencyKey) } };
+      }
+      const id = `mock-${Date.now().toString(36)}`;
+      quotes.unshift({ id, quote: body.quote, author: body.author });
+      if (idempotencyKey) addedQuotes.set(idempotencyKey, id);
+      return { status: 201, data: { id } };
+    },
+  },
+  {
+    method: "get",
+    path: "/quotes/:id",
+    handler: ({ params }) => {
+      const quote = quotes.find(({ id }) => id === params.id);
+      return quote
+        ? { data: quote }
+        : { status: 404, data: { error: "Quote not found" } };
+    },
+  },
+  {
+    method: "post",
+    path: "/batch",
+    handler: async ({ body, dispatch }) => {
+      if (!Array.isArray(body?.requests) || !body.requests.length) {
+        return { status: 400, data: { error: "Please provide requests." } };
+      }
+      const results = await Promise.all(
+        body.requests.map((subRequest) =>
+          subRequest &&
+          typeof subRequest === "object" &&
+          String(subRequest.method ?? "get").toLowerCase() === "get"
+            ? dispatch(subRequest)
+            : { status: 400, data: { error: "Only GET can be batched." } }
+        )
+      );
+      return {
+        data: {
+          responses: results.map(({ status = 200, data, headers = {} }) => ({
+            status,
+            headers,
+            body: data,
+          })),
+        },
+      };
+    },
+  },
+  {
+    method: "post",
+    path: "/reset",
+    handler: () => {
+      quotes = [...quotesFixture];
+      addedQuotes.clear();
+      return { data: { success: true } };
+    },
+  },
+];
+
+const authRoutes = [
+  {
+    method: "post",
+    path: "/auth/refresh",
+    handler: ({ body }) =>
+      body?.refreshToken
+        ? {
+            data: {
+              accessToken: `mock-token-${Date.now().toString(36)}`,
+              expiresIn: 60,
+            },
+          }
+        : { status: 401, data: { error: "Missing refresh token" } },
+  },
+];
+
+const mealRoutes = [
+  {
+    method: "get",
+    path: "/api/json/v1/1/search.php",
+    handler: ({ query }) => {
+      const search = (query.s ?? "").toLowerCase();
+      const found = meals.filter((meal) =>
+        meal.strMeal.toLowerCase().includes(search)
+      );
+      // themealdb answers with `null` rather than an empty list
+      return { data: { meals: found.length ? found : null } };
+    },
+  },
+];
+
+const userRoutes = [
+  {
+    method: "get",
+    path: "/users",
+    handler: () => ({ data: users }),
+  },
+  {
+    method: "get",
+    path: "/users/:id",
+    handler: ({ params }) => {
+      const user = users.find(({ id }) => String(id) === params.id);
+      return user ? { data: user } : { status: 404, data: {} };
+    },
+  },
+  {
+    method: "patch",
+    path: "/users/:id",
+    handler: ({ params, body }) => {
+      const user = users.find(({ id }) => String(id) === params.id);
+      return user ? { data: { ...user, ...body } } : { status: 404, data: {} };
+    },
+  },
+  {
+    method: "post",
+    path: "/users/:id/avatar",
+    handler: ({ params }) => ({
+      status: 201,
+      data: { id: Number(params.id), avatarUrl: `/avatars/${params.id}.png` },
+    }),
+  },
+];
+
+export const mockRoutes = [
+  ...authRoutes,
+  ...quoteRoutes,
+  ...mealRoutes,
+  ...userRoutes,
+];
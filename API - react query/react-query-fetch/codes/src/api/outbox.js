@@ -0,0 +1,179 @@
+import { createId } from "../helpers/create-id";
+import { API_ERROR_KIND, toApiError } from "./apiError";
+
+export const OUTBOX_STATUS = {
+  PENDING: "pending",
+  FAILED: "failed",
+  SYNCED: "synced",
+};
+
+export const IDEMPOTENCY_HEADER = "Idempotency-Key";
+
+const OUTBOX_METHODS = ["post", "patch", "put", "delete"];
+
+// Files can't be written to storage, so uploads are never queued
+const canPersist = (body) =>
+  !(typeof FormData !== "undefined" && body instanceof FormData) &&
+  !(typeof Blob !== "undefined" && body instanceof Blob);
+
+const toEntryError = (error) => ({
+  kind: error.kind ?? null,
+  status: error.status ?? null,
+  message: error.message,
+});
+
+// Requests that failed with a network error are stored and sent again,
+// oldest first, once `replay` runs (e.g. when the browser is back online)
+export const createOutbox = ({ storage, send, maxSynced = 20 }) => {
+  let entries = [];
+  let synced = [];
+  let snapshot = { pending: [], failed: [], synced: [] };
+  let replaying = null;
+  const listeners = new Set();
+
+  const ready = storage
+    .load()
+    .then((stored) => {
+      // Keeps anything queued while storage was still loading
+      entries = [...stored, ...entries];
+      update();
+    })
+    .catch(() => {});
+
+  const update = () => {
+    snapshot = {
+      pending: entries.filter(({ status }) => status === OUTBOX_STATUS.PENDING),
+      failed: entries.filter(({ status }) => status === OUTBOX_STATUS.FAILED),
+      synced,
+    };
+    listeners.forEach((listener) => listener());
+  };
+
+  // Nothing is written before the stored entries are merged in, or the
+  // first save would replace the persisted queue
+  const setEntries = (nextEntries) => {
+    entries = nextEntries;
+    update();
+    return ready.then(() => storage.save(entries)).catch(() => {});
+  };
+
+  const updateEntry = (id, changes) =>
+    setEntries(
+      entries.map((entry) =>
+        entry.id === id ? { ...entry, ...changes } : entry
+      )
+    );
+
+  const enqueue = ({ method, url, body, config }) => {
+    const { baseURL, params, headers } = config;
+    const entry = {
+      id: headers[IDEMPOTENCY_HEADER],
+      method,
+      url,
+      body,
+      config: { baseURL, params, headers },
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      error: null,
+      createdAt: Date.now(),
+    };
+    setEntries([...entries, entry]);
+    return entry;
+  };
+
+  const sendEntries = async () => {
+    await ready;
+    const queue = entries.filter(
+      ({ status }) => status === OUTBOX_STATUS.PENDING
+    );
+
+    for (const entry of queue) {
+      // Skips entries discarded while an earlier one was being sent
+      if (!entries.some(({ id }) => id === entry.id)) continue;
+
+      try {
+        await send(entry);
+        synced = [
+          { ...entry, status: OUTBOX_STATUS.SYNCED, syncedAt: Date.now() },
+          ...synced,
+        ].slice(0, maxSynced);
+        await setEntries(entries.filter(({ id }) => id !== entry.id));
+      } catch (rawError) {
+        const error = toApiError(rawError);
+        const attempts = entry.attempts + 1;
+        // Still offline: the rest stays queued behind this one, in order
+        if (error.kind === API_ERROR_KIND.NETWORK) {
+          await updateEntry(entry.id, { attempts });
+          break;
+        }
+        await updateEntry(entry.id, {
+          status: OUTBOX_STATUS.FAILED,
+          attempts,
+          error: toEntryError(error),
+        });
+      }
+    }
+  };
+
+  const replay = () => {
+    if (!replaying) {
+      replaying = sendEntries().finally(() => {
+        replaying = null;
+      });
+    }
+    return replaying;
+  };
+
+  const middleware = async (request, next) => {
+    const { outbox = false, ...config } = request.config;
+    if (
+      !outbox ||
+      !OUTBOX_METHODS.includes(request.method) ||
+      !canPersist(request.body)
+    ) {
+      return next({ ...request, config });
+    }
+
+    // The same key goes out with every replay, so the server can drop repeats
+    const queuedRequest = {
+      ...request,
+      config: {
+        ...config,
+        headers: { [IDEMPOTENCY_HEADER]: createId(), ...config.headers },
+      },
+    };
+
+    try {
+      return await next(queuedRequest);
+    } catch (rawError) {
+      const error = toApiError(rawError);
+      if (error.kind !== API_ERROR_KIND.NETWORK) throw rawError;
+
+      const entry = enqueue(queuedRequest);
+      error.queued = true;
+      error.outboxId = entry.id;
+      throw error;
+    }
+  };
+
+  return {
+    middleware,
+    replay,
+    retry: async (id) => {
+      // Lets a replay that already went past this entry finish first
+      await replaying;
+      await updateEntry(id, { status: OUTBOX_STATUS.PENDING, error: null });
+      return replay();
+    },
+    discard: (id) => setEntries(entries.filter((entry) => entry.id !== id)),
+    clearSynced: () => {
+      synced = [];
+      update();
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+};
@@ -0,0 +1,125 @@
+import { API_ERROR_KIND } from "./api";
+import { createOutbox, IDEMPOTENCY_HEADER, OUTBOX_STATUS } from "./outbox";
+import { createMemoryStorage } from "./outboxStorage";
+import {
+  createAdapterApi,
+  httpError,
+  httpResponse,
+  networkError,
+} from "./test-utils";
+
+const createOfflineApi = (storage = createMemoryStorage()) => {
+  const server = { online: false, requests: [], status: 201 };
+  const api = createAdapterApi(async (config) => {
+    if (!server.online) throw networkError(config);
+    server.requests.push({
+      url: config.url,
+      key: config.headers[IDEMPOTENCY_HEADER],
+    });
+    if (server.status < 400) return httpResponse(config, {}, server.status);
+    throw httpError(config, server.status);
+  });
+  const outbox = createOutbox({
+    storage,
+    send: ({ method, url, body, config }) =>
+      method === "delete"
+        ? api.delete(url, config)
+        : api[method](url, body, config),
+  });
+  api.use(outbox.middleware, "outbox");
+  return { api, outbox, server, storage };
+};
+
+describe("outbox", () => {
+  it("queues mutations that fail with a network error", async () => {
+    const { api, outbox, storage } = createOfflineApi();
+
+    const error = await api
+      .post("quotes", { quote: "Hi" }, { outbox: true })
+      .catch((e) => e);
+    await api.get("quotes", { outbox: true }).catch(() => {});
+    await api.post("users", {}).catch(() => {});
+
+    expect(error).toMatchObject({ kind: API_ERROR_KIND.NETWORK, queued: true });
+    expect(outbox.getSnapshot().pending).toMatchObject([
+      { id: error.outboxId, url: "quotes", body: { quote: "Hi" } },
+    ]);
+    expect(await storage.load()).toHaveLength(1);
+  });
+
+  it("replays queued requests in order with their idempotency key", async () => {
+    const { api, outbox, server } = createOfflineApi();
+
+    const first = await api.post("a", {}, { outbox: true }).catch((e) => e);
+    const second = await api.delete("b", { outbox: true }).catch((e) => e);
+    server.online = true;
+    await outbox.replay();
+
+    expect(server.requests).toEqual([
+      { url: "a", key: first.outboxId },
+      { url: "b", key: second.outboxId },
+    ]);
+    expect(outbox.getSnapshot()).toMatchObject({
+      pending: [],
+      synced: [{ url: "b" }, { url: "a" }],
+    });
+  });
+
+  it("marks rejected requests as failed and keeps going", async () => {
+    const { api, outbox, server } = createOfflineApi();
+
+    await api.post("a", {}, { outbox: true }).catch(() => {});
+    server.online = true;
+    server.status = 400;
+    await outbox.replay();
+
+    expect(outbox.getSnapshot().failed).toMatchObject([
+      {
+        url: "a",
+        status: OUTBOX_STATUS.FAILED,
+        error: { kind: API_ERROR_KIND.HTTP_CLIENT, status: 400 },
+      },
+    ]);
+
+    server.status = 201;
+    await outbox.retry(outbox.getSnapshot().failed[0].id);
+
+    expect(outbox.getSnapshot().failed).toEqual([]);
+    expect(server.requests).toHaveLength(2);
+  });
+
+  it("restores entries persisted by an earlier session", async () => {
+    const first = createOfflineApi();
+    await first.api.put("a", {}, { outbox: true }).catch(() => {});
+
+    const second = createOfflineApi(first.storage);
+    second.server.online = true;
+    await second.outbox.replay();
+
+    expect(second.server.requests).toMatchObject([{ url: "a" }]);
+    expect(await first.storage.load()).toEqual([]);
+  });
+
+  it("keeps persisted entries when a request is queued while they load", async () => {
+    const first = createOfflineApi();
+    await first.api.put("a", {}, { outbox: true }).catch(() => {});
+    let finishLoading;
+    const storage = {
+      load: () =>
+        new Promise((resolve) => {
+          finishLoading = () => resolve(first.storage.load());
+        }),
+      save: first.storage.save,
+    };
+
+    const second = createOfflineApi(storage);
+    await second.api.put("b", {}, { outbox: true }).catch(() => {});
+    finishLoading();
+    await second.outbox.replay();
+
+    expect((await first.storage.load()).map(({ url }) => url)).toEqual([
+      "a",
+      "b",
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+const DEFAULT_KEY = "api-outbox";
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Keeps the whole queue under one key, so a save is a single atomic write
+export const createIndexedDbStorage = (name = DEFAULT_KEY) => {
+  let database = null;
+
+  const open = () => {
+    if (!database) {
+      const request = indexedDB.open(name, 1);
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore("entries");
+      database = promisify(request);
+    }
+    return database;
+  };
+
+  const withStore = async (mode, fn) => {
+    const db = await open();
+    return promisify(
+      fn(db.transaction("entries", mode).objectStore("entries"))
+    );
+  };
+
+  return {
+    load: async () =>
+      (await withStore("readonly", (store) => store.get("entries"))) ?? [],
+    save: (entries) =>
+      withStore("readwrite", (store) => store.put(entries, "entries")),
+  };
+};
+
+export const createLocalStorage = (key = DEFAULT_KEY) => ({
+  load: async () => JSON.parse(localStorage.getItem(key)) ?? [],
+  save: async (entries) => localStorage.setItem(key, JSON.stringify(entries)),
+});
+
+export const createMemoryStorage = (initialEntries = []) => {
+  let entries = initialEntries;
+
+  return {
+    load: async () => entries,
+    save: async (nextEntries) => {
+      entries = nextEntries;
+    },
+  };
+};
+
+// IndexedDB where the browser has it, localStorage otherwise
+export const createOutboxStorage = () => {
+  if (typeof indexedDB !== "undefined") return createIndexedDbStorage();
+  if (typeof localStorage !== "undefined") return createLocalStorage();
+  return createMemoryStorage();
+};
@@ -1,4 +1,41 @@
-import api, { withLogger } from "./api";
+import { defineEndpoints } from "./defineEndpoints";
+import { array, boolean, object, string, transform } from "./schema";
 
-export const fetchTopQuotes = () =>
-  api.get("top_quotes").then((res) => res.data.quotes);
+const quote = object({
+  id: string({ coerce: true }),
+  quote: string(),
+  author: string(),
+});
+
+export const { fetchTopQuotes, fetchQuotesPage, fetchQuote, addQuote } =
+  defineEndpoints({
+    fetchTopQuotes: {
+      service: "quotes",
+      path: "top_quotes",
+      schema: transform(
+        object({ quotes: array(quote) }),
+        ({ quotes }) => quotes
+      ),
+    },
+    fetchQuotesPage: {
+      service: "quotes",
+      path: "",
+      query: (page) => ({ page }),
+      schema: object({ quotes: array(quote), hasMore: boolean() }),
+    },
+    // Quotes fetched in the same tick share one `POST /batch` round-trip
+    fetchQuote: {
+      service: "quotes",
+      path: "quotes/:id",
+      schema: quote,
+      config: { batch: true },
+    },
+    addQuote: {
+      service: "quotes",
+      method: "post",
+      path: "",
+      body: ({ quote, author }) => ({ quote, author }),
+      schema: object({ id: string({ coerce: true }) }),
+      config: { outbox: true },
+    },
+  });
@@ -0,0 +1,15 @@
+// Backoff shared by the api client and `withAsync`, kept free of side effects
+// so helpers can use it without creating the client
+
+export const retryDefaults = {
+  retries: 0,
+  baseDelay: 300,
+  maxDelay: 5000,
+  jitter: true,
+};
+
+// Exponential backoff with "full jitter": a random delay between 0 and the cap
+export const getRetryDelay = (attempt, { baseDelay, maxDelay, jitter }) => {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return jitter ? Math.random() * delay : delay;
+};
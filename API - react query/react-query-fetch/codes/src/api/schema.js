@@ -0,0 +1,89 @@
+import { API_ERROR_KIND, ApiError } from "./apiError";
+
+// A schema is a function `(value, path) => normalisedValue` that throws a
+// SchemaError naming the offending path, e.g. "meals[2].strMeal"
+export class SchemaError extends Error {
+  constructor(path, message) {
+    super(`${path || "response"}: ${message}`);
+    this.name = "SchemaError";
+    this.path = path;
+  }
+}
+
+const describe = (value) =>
+  value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+
+const fail = (path, expected, value) => {
+  throw new SchemaError(path, `expected ${expected}, got ${describe(value)}`);
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+export const string =
+  ({ coerce = false } = {}) =>
+  (value, path) => {
+    if (typeof value === "string") return value;
+    if (coerce && typeof value === "number") return String(value);
+    return fail(path, "a string", value);
+  };
+
+export const number =
+  ({ coerce = false } = {}) =>
+  (value, path) => {
+    const parsed =
+      coerce && typeof value === "string" && value.trim() !== ""
+        ? Number(value)
+        : value;
+    if (typeof parsed === "number" && !Number.isNaN(parsed)) return parsed;
+    return fail(path, "a number", value);
+  };
+
+export const boolean = () => (value, path) =>
+  typeof value === "boolean" ? value : fail(path, "a boolean", value);
+
+export const array = (item) => (value, path) =>
+  Array.isArray(value)
+    ? value.map((entry, index) => item(entry, `${path}[${index}]`))
+    : fail(path, "an array", value);
+
+// Renames a response key: `name: from("strMeal", string())`
+export const from = (key, schema) => ({ from: key, schema });
+
+// Keeps only the listed fields, so unexpected extras never reach components
+export const object = (shape) => (value, path) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return fail(path, "an object", value);
+  }
+  return Object.fromEntries(
+    Object.entries(shape).map(([key, field]) => {
+      const { from: sourceKey = key, schema } =
+        typeof field === "function" ? { schema: field } : field;
+      return [key, schema(value[sourceKey], joinPath(path, sourceKey))];
+    })
+  );
+};
+
+// `null` and missing values become `fallback`, e.g. `optional(array(meal), [])`
+export const optional =
+  (schema, fallback = null) =>
+  (value, path) =>
+    value == null ? fallback : schema(value, path);
+
+export const transform = (schema, fn) => (value, path) =>
+  fn(schema(value, path));
+
+// Runs the schema at the API boundary and reports failures as parse errors
+export const parseResponse = (schema, data, endpointName) => {
+  try {
+    return schema(data, "");
+  } catch (error) {
+    if (!(error instanceof SchemaError)) throw error;
+    throw new ApiError({
+      kind: API_ERROR_KIND.PARSE,
+      message: `Unexpected response from "${endpointName}": ${error.message}`,
+      body: data,
+      retryable: false,
+      cause: error,
+    });
+  }
+};
@@ -0,0 +1,71 @@
+import {
+  API_ERROR_KIND,
+  disableMockApi,
+  enableMockApi,
+  isApiError,
+} from "./api";
+import { searchMeals } from "./mealApi";
+import {
+  array,
+  from,
+  number,
+  object,
+  optional,
+  parseResponse,
+  SchemaError,
+  string,
+} from "./schema";
+
+describe("schema", () => {
+  const quote = object({
+    id: string({ coerce: true }),
+    text: from("quote", string()),
+    likes: optional(number({ coerce: true }), 0),
+  });
+
+  it("normalises values and renames keys", () => {
+    expect(
+      array(quote)([{ id: 1, quote: "Hi", likes: "3", extra: true }], "")
+    ).toEqual([{ id: "1", text: "Hi", likes: 3 }]);
+    expect(quote({ id: "a", quote: "Hi", likes: null }, "")).toEqual({
+      id: "a",
+      text: "Hi",
+      likes: 0,
+    });
+  });
+
+  it("names the path of the first invalid value", () => {
+    expect(() => array(quote)([{ id: 1, quote: "Hi" }, { id: 2 }], "")).toThrow(
+      new SchemaError("[1].quote", "expected a string, got undefined")
+    );
+  });
+
+  it("turns failures into parse errors", () => {
+    let error;
+    try {
+      parseResponse(object({ quotes: array(quote) }), "<html>", "fetchQuotes");
+    } catch (e) {
+      error = e;
+    }
+
+    expect(isApiError(error)).toBe(true);
+    expect(error).toMatchObject({
+      kind: API_ERROR_KIND.PARSE,
+      body: "<html>",
+      retryable: false,
+    });
+    expect(error.message).toContain('"fetchQuotes"');
+  });
+});
+
+describe("endpoint schemas", () => {
+  beforeAll(() => enableMockApi({ latency: 0 }));
+  afterAll(() => disableMockApi());
+
+  it("returns meals with readable names and an empty list for no matches", async () => {
+    await expect(searchMeals("burek")).resolves.toEqual([
+      expect.objectContaining({ id: "53060", name: "Burek" }),
+    ]);
+    await expect(searchMeals("xyz")).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,11 @@
+// Request config shared by every endpoint of a backend
+export const services = {
+  // Our quotes server, reached through the default `baseURL` of the api client
+  quotes: {},
+  meals: {
+    baseURL: "https://www.themealdb.com/api/json/v1/1/",
+  },
+  users: {
+    baseURL: "https://jsonplaceholder.typicode.com/",
+  },
+};
@@ -0,0 +1,47 @@
+import axios from "axios";
+import { createApi } from "./api";
+
+// A client whose requests are answered by `handler(config)`, which returns or
+// resolves with a response and throws or rejects like axios would
+export const createAdapterApi = (handler, options) =>
+  createApi(axios.create({ adapter: handler }), options);
+
+// What axios resolves with
+export const httpResponse = (
+  config,
+  data = {},
+  status = 200,
+  headers = {}
+) => ({
+  data,
+  status,
+  statusText: "",
+  headers,
+  config,
+});
+
+// What axios rejects with for a response with an error `status`
+export const httpError = (config, status, data = {}, headers = {}) =>
+  new axios.AxiosError(
+    `Request failed with status code ${status}`,
+    status >= 500
+      ? axios.AxiosError.ERR_BAD_RESPONSE
+      : axios.AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    httpResponse(config, data, status, headers)
+  );
+
+// What axios rejects with when the server can't be reached
+export const networkError = (config) =>
+  new axios.AxiosError("Network Error", axios.AxiosError.ERR_NETWORK, config);
+
+// Stays in flight until `start(resolve, reject)` settles it, and rejects like
+// axios once the request is aborted
+export const pendingRequest = (config, start = () => {}) =>
+  new Promise((resolve, reject) => {
+    config.signal?.addEventListener("abort", () =>
+      reject(new axios.CanceledError(null, config))
+    );
+    start(resolve, reject);
+  });
@@ -1,11 +1,47 @@
 import api from "./api";
+import { defineEndpoints } from "./defineEndpoints";
+import { array, number, object, optional, string } from "./schema";
 
-const URLS = {
-  fetchUsersUrl: "users",
-};
+const user = object({
+  id: number({ coerce: true }),
+  name: string(),
+  username: optional(string(), ""),
+  email: string(),
+  phone: optional(string(), ""),
+  website: optional(string(), ""),
+});
 
-export const fetchUsers = () => {
-  return api.get(URLS.fetchUsersUrl, {
-    baseURL: "https://jsonplaceholder.typicode.com/",
+const endpoints = defineEndpoints({
+  fetchUsers: {
+    service: "users",
+    path: "users",
+    schema: array(user),
+    config: { retry: 2, cache: true },
+  },
+  patchUser: {
+    service: "users",
+    method: "patch",
+    path: "users/:userId",
+    body: ({ name }) => ({ name }),
+    schema: user,
+  },
+  uploadUserAvatar: {
+    service: "users",
+    method: "upload",
+    path: "users/:userId/avatar",
+    body: ({ avatar }) => ({ avatar }),
+    schema: object({
+      id: number({ coerce: true }),
+      avatarUrl: string(),
+    }),
+  },
+});
+
+export const { fetchUsers, uploadUserAvatar } = endpoints;
+
+// The cached user list would bring the old name back on the next fetch
+export const renameUser = ({ userId, name }, config) =>
+  endpoints.patchUser({ userId, name }, config).then((updatedUser) => {
+    api.invalidate("users");
+    return updatedUser;
   });
-};
@@ -0,0 +1,117 @@
+import { useEffect, useState } from "react";
+import { useQueryClient } from "react-query";
+import { toast } from "react-toastify";
+import styled from "styled-components";
+import { useApiMutation } from "../api/hooks/useApiMutation";
+import { useOutbox } from "../api/hooks/useOutbox";
+import { addQuote } from "../api/quoteApi";
+import { getApiErrorMessage } from "../helpers/api-error-message";
+import { createId } from "../helpers/create-id";
+
+const Form = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 0.5rem;
+  max-width: 2xl;
+  margin: 1rem auto;
+`;
+
+const SubmitButton = styled.button`
+  background-color: #0053b3;
+  color: #ffffff;
+  padding: 1rem;
+`;
+
+const OutboxList = styled.ul`
+  padding-left: 1rem;
+  font-size: 0.875rem;
+  color: #6b7280;
+`;
+
+const FailedEntry = styled.li`
+  color: #e53e3e;
+`;
+
+// The outbox is shared by every endpoint, not only quotes
+const describe = (entry) =>
+  entry.body?.quote
+    ? `"${entry.body.quote}"`
+    : `${entry.method.toUpperCase()} ${entry.url}`;
+
+const AddQuote = () => {
+  const [quote, setQuote] = useState("");
+  const [author, setAuthor] = useState("");
+  const queryClient = useQueryClient();
+  const { pending, failed, synced, retry, discard } = useOutbox();
+  // The quote is listed right away under a temporary id, then gets the real one
+  const { mutate: initAddQuote, isPending } = useApiMutation(addQuote, {
+    target: {
+      getData: () => queryClient.getQueryData("top-quotes"),
+      setData: (updater) => queryClient.setQueryData("top-quotes", updater),
+    },
+    optimisticUpdate: (quotes = [], { tempId, quote, author }) => [
+      { id: tempId, quote, author },
+      ...quotes,
+    ],
+    rollback: (quotes = [], { tempId }) =>
+      quotes.filter((quote) => quote.id !== tempId),
+    reconcile: (quotes = [], { id }, { tempId }) =>
+      quotes.map((quote) => (quote.id === tempId ? { ...quote, id } : quote)),
+  });
+
+  // Quotes sent from the outbox show up in the list once they are synced
+  useEffect(() => {
+    if (synced.length) queryClient.invalidateQueries("top-quotes");
+  }, [synced, queryClient]);
+
+  const onSubmit = async (event) => {
+    event.preventDefault();
+    const { error } = await initAddQuote({ tempId: createId(), quote, author });
+    if (error && !error.queued) {
+      toast.error(getApiErrorMessage(error));
+      return;
+    }
+    if (error) toast.info(getApiErrorMessage(error));
+    else queryClient.invalidateQueries("top-quotes");
+    setQuote("");
+    setAuthor("");
+  };
+
+  return (
+    <Form onSubmit={onSubmit}>
+      <input
+        placeholder="Quote"
+        value={quote}
+        onChange={({ target }) => setQuote(target.value)}
+      />
+      <input
+        placeholder="Author"
+        value={author}
+        onChange={({ target }) => setAuthor(target.value)}
+      />
+      <SubmitButton type="submit" disabled={isPending || !quote || !author}>
+        {isPending ? "Adding quote..." : "Add quote"}
+      </SubmitButton>
+      {pending.length || failed.length ? (
+        <OutboxList>
+          {pending.map((entry) => (
+            <li key={entry.id}>Waiting to send {describe(entry)}</li>
+          ))}
+          {failed.map((entry) => (
+            <FailedEntry key={entry.id}>
+              Couldn't send {describe(entry)} ({entry.error?.message}){" "}
+              <button type="button" onClick={() => retry(entry.id)}>
+                Retry
+              </button>{" "}
+              <button type="button" onClick={() => discard(entry.id)}>
+                Discard
+              </button>
+            </FailedEntry>
+          ))}
+        </OutboxList>
+      ) : null}
+    </Form>
+  );
+};
+
+export default AddQuote;
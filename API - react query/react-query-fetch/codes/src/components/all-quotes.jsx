@@ -0,0 +1,85 @@
+import styled from "styled-components";
+import { useInfiniteApi } from "../api/hooks/useInfiniteApi";
+import { fetchQuotesPage } from "../api/quoteApi";
+import { getApiErrorMessage } from "../helpers/api-error-message";
+import LazyLoader from "./lazy-loader";
+
+const Container = styled.div`
+  padding-top: 8px;
+  max-width: 2xl;
+  margin: auto;
+`;
+
+const Title = styled.h2`
+  font-weight: bold;
+  margin-bottom: 4px;
+`;
+
+const ErrorMessage = styled.p`
+  color: #e53e3e;
+`;
+
+const QuoteItem = styled.li`
+  padding: 4px;
+  font-style: italic;
+  color: #6b7280;
+`;
+
+const LoadMoreButton = styled.button`
+  background-color: #0053b3;
+  color: #ffffff;
+  padding: 1rem;
+`;
+
+const getItems = (page) => page.quotes;
+const getNextParam = (lastPage, pages) =>
+  lastPage.hasMore ? pages.length : null;
+
+const AllQuotes = () => {
+  const {
+    items: quotes,
+    error,
+    isPending,
+    isError,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteApi((page, { signal }) => fetchQuotesPage(page, { signal }), {
+    initialPageParam: 0,
+    getNextParam,
+    getItems,
+  });
+
+  return (
+    <Container>
+      <Title>All Quotes</Title>
+      {isError ? (
+        <ErrorMessage>{getApiErrorMessage(error)}</ErrorMessage>
+      ) : null}
+      {isPending && !isFetchingNextPage ? <p>Fetching quotes</p> : null}
+      <ul>
+        {quotes.map((quote) => (
+          <QuoteItem key={quote.id}>
+            "{quote.quote}" - {quote.author}
+          </QuoteItem>
+        ))}
+      </ul>
+      {hasNextPage ? (
+        <LoadMoreButton
+          type="button"
+          disabled={isFetchingNextPage}
+          onClick={fetchNextPage}
+        >
+          <LazyLoader
+            show={isFetchingNextPage}
+            delay={500}
+            minDuration={400}
+            default="Load more"
+          />
+        </LoadMoreButton>
+      ) : null}
+    </Container>
+  );
+};
+
+export default AllQuotes;
@@ -0,0 +1,66 @@
+import { useEffect } from "react";
+import { ACTIVITY_SOURCE, apiActivity } from "../api/api";
+import { ApiActivityContext } from "../api/hooks/useIsFetching";
+
+// Mirrors the queries and mutations react-query is running into `tracker`
+const trackReactQuery = (queryClient, tracker) => {
+  const running = new Map();
+  const queryCache = queryClient.getQueryCache();
+  const mutationCache = queryClient.getMutationCache();
+
+  const sync = () => {
+    const active = [
+      ...queryCache
+        .getAll()
+        .filter((query) => query.state.isFetching)
+        .map((query) => [query, query.queryKey]),
+      ...mutationCache
+        .getAll()
+        .filter((mutation) => mutation.state.status === "loading")
+        .map((mutation) => [mutation, mutation.options.mutationKey]),
+    ];
+    active.forEach(([item, key]) => {
+      if (running.has(item)) return;
+      running.set(
+        item,
+        tracker.start({ source: ACTIVITY_SOURCE.REACT_QUERY, key })
+      );
+    });
+    running.forEach((end, item) => {
+      if (active.some(([activeItem]) => activeItem === item)) return;
+      end();
+      running.delete(item);
+    });
+  };
+
+  const unsubscribeQueries = queryCache.subscribe(sync);
+  const unsubscribeMutations = mutationCache.subscribe(sync);
+  sync();
+
+  return () => {
+    unsubscribeQueries();
+    unsubscribeMutations();
+    running.forEach((end) => end());
+  };
+};
+
+// Counts what the api client, the useApi hooks and, given `queryClient`,
+// react-query have in flight. Read it with `useIsFetching`.
+const ApiActivityProvider = ({
+  tracker = apiActivity,
+  queryClient,
+  children,
+}) => {
+  useEffect(() => {
+    if (!queryClient) return;
+    return trackReactQuery(queryClient, tracker);
+  }, [queryClient, tracker]);
+
+  return (
+    <ApiActivityContext.Provider value={tracker}>
+      {children}
+    </ApiActivityContext.Provider>
+  );
+};
+
+export default ApiActivityProvider;
@@ -0,0 +1,128 @@
+import { useState, useSyncExternalStore } from "react";
+import styled from "styled-components";
+import { apiLog, LOG_LEVEL, replayLogRecord } from "../api/api";
+
+const Panel = styled.details`
+  position: fixed;
+  right: 0;
+  bottom: 0;
+  width: 36rem;
+  max-height: 50vh;
+  overflow-y: auto;
+  background-color: #ffffff;
+  border: 1px solid #d1d5db;
+  font-family: monospace;
+  font-size: 0.75rem;
+`;
+
+const Toolbar = styled.div`
+  display: flex;
+  gap: 0.5rem;
+  padding: 0.5rem;
+  border-bottom: 1px solid #d1d5db;
+`;
+
+const levelColors = {
+  [LOG_LEVEL.DEBUG]: "#6b7280",
+  [LOG_LEVEL.INFO]: "#1f2937",
+  [LOG_LEVEL.WARN]: "#b45309",
+  [LOG_LEVEL.ERROR]: "#e53e3e",
+};
+
+const Record = styled.details`
+  padding: 0.25rem 0.5rem;
+  color: ${({ $level }) => levelColors[$level]};
+
+  &:not(:last-child) {
+    border-bottom: 1px solid #f3f4f6;
+  }
+`;
+
+const Details = styled.pre`
+  white-space: pre-wrap;
+  color: #1f2937;
+`;
+
+const LEVELS = [
+  LOG_LEVEL.DEBUG,
+  LOG_LEVEL.INFO,
+  LOG_LEVEL.WARN,
+  LOG_LEVEL.ERROR,
+];
+
+const formatSize = (size) =>
+  size >= 1024 ? `${(size / 1024).toFixed(1)}kB` : `${size}B`;
+
+const getOutcome = ({ status, abortReason, error }) =>
+  abortReason ? `aborted (${abortReason})` : status ?? error?.kind;
+
+// Lists what went through the api client, newest first. Development only.
+const ApiInspector = () => {
+  const records = useSyncExternalStore(apiLog.subscribe, apiLog.getSnapshot);
+  const [search, setSearch] = useState("");
+  const [minLevel, setMinLevel] = useState(LOG_LEVEL.DEBUG);
+
+  const visibleRecords = records
+    .filter(
+      ({ level, method, url }) =>
+        LEVELS.indexOf(level) >= LEVELS.indexOf(minLevel) &&
+        `${method} ${url}`.toLowerCase().includes(search.toLowerCase())
+    )
+    .reverse();
+
+  return (
+    <Panel>
+      <summary>API inspector ({records.length})</summary>
+      <Toolbar>
+        <input
+          placeholder="Filter by method or url"
+          value={search}
+          onChange={({ target }) => setSearch(target.value)}
+        />
+        <select
+          value={minLevel}
+          onChange={({ target }) => setMinLevel(target.value)}
+        >
+          {LEVELS.map((level) => (
+            <option key={level} value={level}>
+              {level}+
+            </option>
+          ))}
+        </select>
+        <button type="button" onClick={apiLog.clear}>
+          Clear
+        </button>
+      </Toolbar>
+      {visibleRecords.map((record) => (
+        <Record key={record.id} $level={record.level}>
+          <summary>
+            {record.method.toUpperCase()} {record.url} {getOutcome(record)}{" "}
+            {record.duration}ms {formatSize(record.size)}
+          </summary>
+          <button
+            type="button"
+            onClick={() => replayLogRecord(record).catch(() => {})}
+          >
+            Replay
+          </button>
+          <Details>
+            {JSON.stringify(
+              {
+                baseURL: record.baseURL,
+                params: record.params,
+                headers: record.headers,
+                body: record.body,
+                responseHeaders: record.responseHeaders,
+                error: record.error,
+              },
+              null,
+              2
+            )}
+          </Details>
+        </Record>
+      ))}
+    </Panel>
+  );
+};
+
+export default ApiInspector;
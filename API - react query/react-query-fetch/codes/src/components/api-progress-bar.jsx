@@ -0,0 +1,44 @@
+import styled, { keyframes } from "styled-components";
+import { useIsFetching } from "../api/hooks/useIsFetching";
+import { useDelayedShow } from "./lazy-loader";
+
+const slide = keyframes`
+  from {
+    transform: translateX(-100%);
+  }
+  to {
+    transform: translateX(300%);
+  }
+`;
+
+const Track = styled.div`
+  position: fixed;
+  top: 0;
+  left: 0;
+  right: 0;
+  height: 3px;
+  overflow: hidden;
+  z-index: 1000;
+`;
+
+const Bar = styled.div`
+  width: 33%;
+  height: 100%;
+  background-color: #0053b3;
+  animation: ${slide} 1.2s ease-in-out infinite;
+`;
+
+// Shown while anything matching `filter` is in flight, but only after
+// `delay` ms so fast requests don't make it flicker
+const ApiProgressBar = ({ delay = 300, filter }) => {
+  const isFetching = useIsFetching(filter) > 0;
+  const show = useDelayedShow(isFetching, delay);
+
+  return show ? (
+    <Track role="progressbar" aria-label="Loading">
+      <Bar />
+    </Track>
+  ) : null;
+};
+
+export default ApiProgressBar;
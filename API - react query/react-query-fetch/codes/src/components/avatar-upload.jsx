@@ -0,0 +1,73 @@
+import { useState } from "react";
+import styled from "styled-components";
+import { useApi } from "../api/hooks/useApi";
+import { uploadUserAvatar } from "../api/usersApi";
+import { getApiErrorMessage } from "../helpers/api-error-message";
+
+const Container = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 1rem;
+  margin-top: 1rem;
+`;
+
+const UploadButton = styled.button`
+  background-color: #0053b3;
+  color: #ffffff;
+  padding: 1rem;
+  min-width: 10rem;
+`;
+
+const ErrorMessage = styled.p`
+  color: #e53e3e;
+`;
+
+const AvatarUpload = ({ userId }) => {
+  const [file, setFile] = useState(null);
+  const [progress, setProgress] = useState(0);
+
+  const {
+    exec: initUpload,
+    abort: cancelUpload,
+    error,
+    isPending,
+    isError,
+    isSuccess,
+  } = useApi((avatar, { signal }) =>
+    uploadUserAvatar(
+      { userId, avatar },
+      {
+        onUploadProgress: ({ percent }) => setProgress(percent ?? 0),
+        signal,
+      }
+    )
+  );
+
+  const onClick = () => {
+    if (isPending) {
+      cancelUpload();
+      return;
+    }
+    setProgress(0);
+    initUpload(file);
+  };
+
+  return (
+    <Container>
+      <input
+        type="file"
+        accept="image/*"
+        onChange={({ target }) => setFile(target.files[0] ?? null)}
+      />
+      <UploadButton onClick={onClick} disabled={!file}>
+        {isPending ? `Uploading ${progress}% (cancel)` : "Upload avatar"}
+      </UploadButton>
+      {isSuccess ? <p>Avatar uploaded</p> : null}
+      {isError ? (
+        <ErrorMessage>{getApiErrorMessage(error)}</ErrorMessage>
+      ) : null}
+    </Container>
+  );
+};
+
+export default AvatarUpload;
@@ -0,0 +1,69 @@
+import { Suspense, useEffect, useRef } from "react";
+import { renderFallback, useDelayedShow } from "./lazy-loader";
+
+const DelayedFallback = ({ delay, fallback, shownAtRef }) => {
+  const show = useDelayedShow(true, delay);
+
+  useEffect(() => {
+    if (show) shownAtRef.current = Date.now();
+  }, [show, shownAtRef]);
+
+  return show ? renderFallback(fallback) : null;
+};
+
+// Keeps suspending until the fallback has been up for `minDuration` ms
+const MinDurationGate = ({ minDuration, shownAtRef, holdRef, children }) => {
+  // Only runs once the content is on screen
+  useEffect(() => {
+    shownAtRef.current = null;
+    holdRef.current = null;
+  });
+
+  const shownAt = shownAtRef.current;
+  const remaining = shownAt === null ? 0 : minDuration - (Date.now() - shownAt);
+  if (remaining > 0) {
+    if (!holdRef.current) {
+      holdRef.current = new Promise((resolve) =>
+        setTimeout(resolve, remaining)
+      );
+    }
+    throw holdRef.current;
+  }
+
+  return children;
+};
+
+// A Suspense boundary, e.g. around `React.lazy` components, with the timing
+// of `LazyLoader`: the fallback only shows after `delay` ms and then stays
+// for at least `minDuration` ms
+const DelayedSuspense = ({
+  delay = 0,
+  minDuration = 0,
+  fallback = "Loading...",
+  children,
+}) => {
+  const shownAtRef = useRef(null);
+  const holdRef = useRef(null);
+
+  return (
+    <Suspense
+      fallback={
+        <DelayedFallback
+          delay={delay}
+          fallback={fallback}
+          shownAtRef={shownAtRef}
+        />
+      }
+    >
+      <MinDurationGate
+        minDuration={minDuration}
+        shownAtRef={shownAtRef}
+        holdRef={holdRef}
+      >
+        {children}
+      </MinDurationGate>
+    </Suspense>
+  );
+};
+
+export default DelayedSuspense;
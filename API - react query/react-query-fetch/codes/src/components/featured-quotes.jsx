@@ -0,0 +1,72 @@
+import { useQuery } from "react-query";
+import styled from "styled-components";
+import { fetchQuote } from "../api/quoteApi";
+import { getApiErrorMessage } from "../helpers/api-error-message";
+
+// Each quote has its own query, their requests go out as one batch call
+const FEATURED_QUOTE_IDS = [
+  "U-864r843SrvkNyOSMPnp",
+  "g49RtXxch7wAAdH3ayFKI",
+  "BI21iMf8G22bVTKHelCYH",
+];
+
+const Container = styled.div`
+  padding-top: 8px;
+  max-width: 2xl;
+  margin: auto;
+`;
+
+const Title = styled.h2`
+  font-weight: bold;
+  font-size: 2xl;
+  margin-bottom: 4px;
+`;
+
+const ErrorMessage = styled.p`
+  color: #e53e3e;
+`;
+
+const QuoteBlock = styled.blockquote`
+  padding: 4px;
+  font-style: italic;
+  border-left: 4px solid #d1d5db;
+  background-color: #f3f4f6;
+  color: #6b7280;
+`;
+
+const AuthorName = styled.cite`
+  font-size: sm;
+  font-weight: bold;
+`;
+
+const FeaturedQuote = ({ id }) => {
+  const {
+    data: quote,
+    error,
+    isLoading,
+    isError,
+  } = useQuery(["quote", id], ({ signal }) => fetchQuote({ id }, { signal }));
+
+  if (isLoading) return <p>Fetching quote</p>;
+  if (isError) {
+    return <ErrorMessage>{getApiErrorMessage(error)}</ErrorMessage>;
+  }
+
+  return (
+    <QuoteBlock>
+      <p>"{quote.quote}"</p>
+      <AuthorName>{quote.author}</AuthorName>
+    </QuoteBlock>
+  );
+};
+
+const FeaturedQuotes = () => (
+  <Container>
+    <Title>Featured Quotes</Title>
+    {FEATURED_QUOTE_IDS.map((id) => (
+      <FeaturedQuote key={id} id={id} />
+    ))}
+  </Container>
+);
+
+export default FeaturedQuotes;
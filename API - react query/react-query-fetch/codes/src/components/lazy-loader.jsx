@@ -1,27 +1,62 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 
-const LazyLoader = (props) => {
-  const { show = false, delay = 0 } = props;
+// Turns true only once `show` has stayed true for `delay` ms, so quick
+// loads never flash a loader. Once true, it stays true for at least
+// `minDuration` ms, so a load that ends just after `delay` doesn't either.
+export const useDelayedShow = (show, delay = 0, minDuration = 0) => {
   const [showLoader, setShowLoader] = useState(false);
+  const shownAtRef = useRef(null);
 
   useEffect(() => {
     let timeout;
-    if (!show) {
-      setShowLoader(false);
-      return;
-    }
-    if (delay === 0) {
-      setShowLoader(true);
+    if (show) {
+      // Still up from the last time, `show` came back within `minDuration`
+      if (shownAtRef.current !== null) return;
+      const reveal = () => {
+        shownAtRef.current = Date.now();
+        setShowLoader(true);
+      };
+      if (delay === 0) {
+        reveal();
+      } else {
+        timeout = setTimeout(reveal, delay);
+      }
     } else {
-      timeout = setTimeout(() => setShowLoader(true), delay);
+      if (shownAtRef.current === null) return;
+      const hide = () => {
+        shownAtRef.current = null;
+        setShowLoader(false);
+      };
+      const remaining = minDuration - (Date.now() - shownAtRef.current);
+      if (remaining <= 0) {
+        hide();
+      } else {
+        timeout = setTimeout(hide, remaining);
+      }
     }
 
     return () => {
-      clearInterval(timeout);
+      clearTimeout(timeout);
     };
-  }, [show, delay]);
+  }, [show, delay, minDuration]);
+
+  return showLoader;
+};
+
+// `fallback` is what shows while loading, or a function rendering it
+export const renderFallback = (fallback) =>
+  typeof fallback === "function" ? fallback() : fallback;
+
+const LazyLoader = (props) => {
+  const {
+    show = false,
+    delay = 0,
+    minDuration = 0,
+    fallback = "Loading...",
+  } = props;
+  const showLoader = useDelayedShow(show, delay, minDuration);
 
-  return showLoader ? "Loading..." : props.default;
+  return showLoader ? renderFallback(fallback) : props.default;
 };
 
 export default LazyLoader;
@@ -0,0 +1,74 @@
+import { act, render, waitFor } from "@testing-library/react";
+import { lazy } from "react";
+import DelayedSuspense from "./delayed-suspense";
+import LazyLoader from "./lazy-loader";
+
+describe("LazyLoader", () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  const renderLoader = (show) => (
+    <LazyLoader
+      show={show}
+      delay={100}
+      minDuration={300}
+      fallback={() => <span>Spinner</span>}
+      default="Done"
+    />
+  );
+
+  it("shows the fallback after the delay and keeps it for minDuration", () => {
+    const { container, rerender } = render(renderLoader(true));
+    expect(container.textContent).toBe("Done");
+
+    act(() => {
+      jest.advanceTimersByTime(100);
+    });
+    expect(container.textContent).toBe("Spinner");
+
+    rerender(renderLoader(false));
+    act(() => {
+      jest.advanceTimersByTime(200);
+    });
+    expect(container.textContent).toBe("Spinner");
+
+    act(() => {
+      jest.advanceTimersByTime(100);
+    });
+    expect(container.textContent).toBe("Done");
+  });
+
+  it("never shows the fallback for loads shorter than the delay", () => {
+    const { container, rerender } = render(renderLoader(true));
+    act(() => {
+      jest.advanceTimersByTime(50);
+    });
+    rerender(renderLoader(false));
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+
+    expect(container.textContent).toBe("Done");
+  });
+});
+
+describe("DelayedSuspense", () => {
+  it("holds a lazy component back until the fallback has been up long enough", async () => {
+    let resolveModule;
+    const Lazy = lazy(
+      () => new Promise((resolve) => (resolveModule = resolve))
+    );
+    const { container } = render(
+      <DelayedSuspense delay={0} minDuration={200} fallback="Loading...">
+        <Lazy />
+      </DelayedSuspense>
+    );
+    await waitFor(() => expect(container.textContent).toBe("Loading..."));
+
+    await act(async () => {
+      resolveModule({ default: () => "Content" });
+    });
+    expect(container.textContent).toBe("Loading...");
+    await waitFor(() => expect(container.textContent).toBe("Content"));
+  });
+});
@@ -0,0 +1,30 @@
+import { useState } from "react";
+import styled from "styled-components";
+
+const Form = styled.form`
+  display: flex;
+  gap: 0.5rem;
+  margin-bottom: 1rem;
+`;
+
+const RenameUser = ({ name, onRename }) => {
+  const [newName, setNewName] = useState(name);
+
+  const onSubmit = (event) => {
+    event.preventDefault();
+    if (newName && newName !== name) onRename(newName);
+  };
+
+  return (
+    <Form onSubmit={onSubmit}>
+      <input
+        aria-label="New name"
+        value={newName}
+        onChange={({ target }) => setNewName(target.value)}
+      />
+      <button type="submit">Rename</button>
+    </Form>
+  );
+};
+
+export default RenameUser;
@@ -2,32 +2,30 @@ import { useEffect, useRef, useState } from "react";
 import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import styled from "styled-components";
-import { didAbort } from "../api/api";
 import { searchMeals } from "../api/mealApi";
+import { getApiErrorMessage } from "../helpers/api-error-message";
+import { withAsync } from "../helpers/with-async";
 
 const useFetchMeals = () => {
   const [meals, setMeals] = useState([]);
   const abortRef = useRef({});
 
   const handleQuoteError = (error) => {
-    if (didAbort(error)) {
-      //Request aborted!
-      toast.error("Request aborted!");
-    } else {
-      //Oh noooo, error!
-      toast.error("Oh noooo, error!");
-    }
+    toast.error(getApiErrorMessage(error));
   };
 
   const fetchMeals = async (query) => {
-    try {
-      abortRef.current.abort?.();
+    abortRef.current.abort?.();
 
-      const newMeals = await searchMeals(query, {
+    const { ok, value, error } = await withAsync(({ signal }) =>
+      searchMeals(query, {
+        signal,
         abort: (abort) => (abortRef.current.abort = abort),
-      });
-      setMeals(newMeals);
-    } catch (error) {
+      })
+    );
+    if (ok) {
+      setMeals(value);
+    } else {
       handleQuoteError(error);
     }
   };
@@ -106,12 +104,11 @@ const SearchMeal = () => {
       <div>
         <Title>Meals</Title>
         <MealContainer>
-          {meals &&
-            meals.map((meal, index) => (
-              <MealItem odd={index % 2 !== 0} key={meal.idMeal}>
-                <p>{meal.strMeal}</p>
-              </MealItem>
-            ))}
+          {meals.map((meal, index) => (
+            <MealItem odd={index % 2 !== 0} key={meal.id}>
+              <p>{meal.name}</p>
+            </MealItem>
+          ))}
         </MealContainer>
       </div>
     </Container>
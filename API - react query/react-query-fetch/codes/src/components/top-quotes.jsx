@@ -1,6 +1,7 @@
 import { useQuery } from "react-query";
 import styled from "styled-components";
 import { fetchTopQuotes } from "../api/quoteApi";
+import { getApiErrorMessage } from "../helpers/api-error-message";
 
 const Container = styled.div`
   padding-top: 8px;
@@ -66,6 +67,7 @@ const AuthorName = styled.span`
 const FetchTopQuotes = () => {
   const {
     data: quotes,
+    error,
     isLoading,
     isSuccess,
     isError,
@@ -76,7 +78,10 @@ const FetchTopQuotes = () => {
       <div>
         <Title>Top Quotes</Title>
         {isError ? (
-          <ErrorMessage>There was a problem with fetching quotes</ErrorMessage>
+          <ErrorMessage>
+            There was a problem with fetching quotes.{" "}
+            {getApiErrorMessage(error)}
+          </ErrorMessage>
         ) : null}
         {isLoading ? <LoadingMessage>Fetching quotes</LoadingMessage> : null}
         {isSuccess ? (
@@ -1,30 +1,81 @@
-import React, { useEffect } from "react";
-import { fetchUsers } from "../api/usersApi";
+import React from "react";
+import { fetchUsers, renameUser } from "../api/usersApi";
 import styled from "styled-components";
+import AvatarUpload from "./avatar-upload";
 import LazyLoader from "./lazy-loader";
+import RenameUser from "./rename-user";
 import { useApi } from "../api/hooks/useApi";
+import { useApiMutation } from "../api/hooks/useApiMutation";
+import { extendedApiStatusTransitions } from "../constants/api-status";
+import { getApiErrorMessage } from "../helpers/api-error-message";
 
 const useFetchUsers = () => {
   const {
     data: users,
+    getData: getUsers,
+    setData: setUsers,
+    error: fetchUsersError,
     exec: initFetchUsers,
     status: fetchUsersStatus,
     isIdle: isFetchUsersStatusIdle,
     isPending: isFetchUsersStatusPending,
+    isRefetching: isFetchUsersStatusRefetching,
     isError: isFetchUsersStatusError,
     isSuccess: isFetchUsersStatusSuccess,
-  } = useApi(() => fetchUsers().then((response) => response.data));
+  } = useApi(
+    ({ signal, priority }) => fetchUsers(undefined, { signal, priority }),
+    {
+      immediate: true,
+      // Background refreshes show as REFETCHING instead of PENDING
+      transitions: extendedApiStatusTransitions,
+      refetchInterval: 60 * 1000,
+      refetchOnWindowFocus: true,
+      refetchOnReconnect: true,
+    }
+  );
 
   return {
     users,
+    getUsers,
+    setUsers,
+    fetchUsersError,
     isFetchUsersStatusIdle,
     isFetchUsersStatusPending,
+    isFetchUsersStatusRefetching,
     isFetchUsersStatusError,
     isFetchUsersStatusSuccess,
     initFetchUsers,
   };
 };
 
+// The new name shows up right away and is rolled back if the server refuses it
+const useRenameUser = (getUsers, setUsers) => {
+  const { mutate: initRenameUser, error: renameUserError } = useApiMutation(
+    ({ userId, name }, { signal }) => renameUser({ userId, name }, { signal }),
+    {
+      target: { getData: getUsers, setData: setUsers },
+      optimisticUpdate: (users, { userId, name }) =>
+        users.map((user) => (user.id === userId ? { ...user, name } : user)),
+      // Puts the old name back even if the list was refetched meanwhile
+      rollback: (users, { userId }, previousUsers) => {
+        const previousUser = previousUsers.find(({ id }) => id === userId);
+        return users.map((user) =>
+          user.id === userId && previousUser
+            ? { ...user, name: previousUser.name }
+            : user
+        );
+      },
+      reconcile: (users, updatedUser) =>
+        users.map((user) => (user.id === updatedUser.id ? updatedUser : user)),
+    }
+  );
+
+  return {
+    initRenameUser,
+    renameUserError,
+  };
+};
+
 const Container = styled.div`
   margin-left: auto;
   margin-right: auto;
@@ -50,6 +101,10 @@ const UserEmail = styled.h3`
   color: #555555;
 `;
 
+const ErrorMessage = styled.p`
+  color: #e53e3e;
+`;
+
 const FetchButton = styled.button`
   margin-top: 1rem;
   background-color: #0053b3;
@@ -60,26 +115,33 @@ const FetchButton = styled.button`
 const Users = () => {
   const {
     users,
+    fetchUsersError,
     isFetchUsersStatusError,
     isFetchUsersStatusIdle,
     isFetchUsersStatusPending,
+    isFetchUsersStatusRefetching,
     isFetchUsersStatusSuccess,
     initFetchUsers,
+    getUsers,
+    setUsers,
   } = useFetchUsers();
-
-  useEffect(() => {
-    initFetchUsers();
-  }, []);
+  const { initRenameUser, renameUserError } = useRenameUser(getUsers, setUsers);
 
   return (
     <Container>
-      <FetchButton onClick={initFetchUsers}>
+      <FetchButton onClick={() => initFetchUsers()}>
         <LazyLoader
-          show={isFetchUsersStatusPending}
+          show={isFetchUsersStatusPending || isFetchUsersStatusRefetching}
           delay={500}
           default="Fetch Users"
         />
       </FetchButton>
+      {isFetchUsersStatusError ? (
+        <ErrorMessage>{getApiErrorMessage(fetchUsersError)}</ErrorMessage>
+      ) : null}
+      {renameUserError ? (
+        <ErrorMessage>{getApiErrorMessage(renameUserError)}</ErrorMessage>
+      ) : null}
       <FlexContainer>
         <ContentContainer>
           {users
@@ -87,6 +149,13 @@ const Users = () => {
                 <React.Fragment key={index}>
                   <UserName>{user.name}</UserName>
                   <UserEmail>{user.email}</UserEmail>
+                  <RenameUser
+                    name={user.name}
+                    onRename={(name) =>
+                      initRenameUser({ userId: user.id, name })
+                    }
+                  />
+                  <AvatarUpload userId={user.id} />
                 </React.Fragment>
               ))
             : null}
@@ -0,0 +1,24 @@
+export declare const IDLE: "IDLE";
+export declare const PENDING: "PENDING";
+export declare const SUCCESS: "SUCCESS";
+export declare const ERROR: "ERROR";
+export declare const REFETCHING: "REFETCHING";
+export declare const CANCELLED: "CANCELLED";
+export declare const PARTIAL: "PARTIAL";
+
+export type DefaultApiStatus = "IDLE" | "PENDING" | "SUCCESS" | "ERROR";
+export type ExtendedApiStatus =
+  | DefaultApiStatus
+  | "REFETCHING"
+  | "CANCELLED"
+  | "PARTIAL";
+
+/** Maps every status to the statuses it may move to */
+export type ApiStatusTransitions<S extends string> = {
+  readonly [K in S]: readonly S[];
+};
+
+export declare const defaultApiStatuses: DefaultApiStatus[];
+export declare const apiStatus: { readonly [K in ExtendedApiStatus]: K };
+export declare const defaultApiStatusTransitions: ApiStatusTransitions<DefaultApiStatus>;
+export declare const extendedApiStatusTransitions: ApiStatusTransitions<ExtendedApiStatus>;
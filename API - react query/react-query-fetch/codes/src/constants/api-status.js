@@ -2,6 +2,9 @@ export const IDLE = "IDLE";
 export const PENDING = "PENDING";
 export const SUCCESS = "SUCCESS";
 export const ERROR = "ERROR";
+export const REFETCHING = "REFETCHING";
+export const CANCELLED = "CANCELLED";
+export const PARTIAL = "PARTIAL";
 
 export const defaultApiStatuses = ["IDLE", "PENDING", "SUCCESS", "ERROR"];
 
@@ -10,4 +13,26 @@ export const apiStatus = {
   PENDING,
   SUCCESS,
   ERROR,
+  REFETCHING,
+  CANCELLED,
+  PARTIAL,
+};
+
+// The statuses each status may move to. Staying on a status is always allowed.
+export const defaultApiStatusTransitions = {
+  [IDLE]: [PENDING],
+  [PENDING]: [SUCCESS, ERROR, IDLE],
+  [SUCCESS]: [PENDING, IDLE],
+  [ERROR]: [PENDING, IDLE],
+};
+
+// Adds background refetches, cancelled calls and partially successful results
+export const extendedApiStatusTransitions = {
+  [IDLE]: [PENDING],
+  [PENDING]: [SUCCESS, PARTIAL, ERROR, CANCELLED, IDLE],
+  [REFETCHING]: [SUCCESS, PARTIAL, ERROR, CANCELLED, IDLE],
+  [SUCCESS]: [REFETCHING, PENDING, IDLE],
+  [PARTIAL]: [REFETCHING, PENDING, IDLE],
+  [ERROR]: [PENDING, REFETCHING, IDLE],
+  [CANCELLED]: [PENDING, REFETCHING, IDLE],
 };
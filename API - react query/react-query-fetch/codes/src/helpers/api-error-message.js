@@ -0,0 +1,31 @@
+import { API_ERROR_KIND, isApiError } from "../api/api";
+
+const messages = {
+  [API_ERROR_KIND.ABORTED]: "Request aborted!",
+  [API_ERROR_KIND.TIMEOUT]: "The request took too long. Please try again.",
+  [API_ERROR_KIND.NETWORK]: "Network error. Check your connection.",
+  [API_ERROR_KIND.HTTP_SERVER]: "The server had a problem. Try again later.",
+  [API_ERROR_KIND.PARSE]: "We received an unexpected response.",
+};
+
+export const getApiErrorMessage = (error) => {
+  if (!isApiError(error)) return "Oh noooo, error!";
+
+  if (error.queued) {
+    return "You're offline. We'll send this as soon as you're back online.";
+  }
+
+  if (error.status === 429 || error.retryAfter) {
+    return error.retryAfter
+      ? `Too many requests. Try again in ${Math.ceil(
+          error.retryAfter / 1000
+        )}s.`
+      : "Too many requests. Try again later.";
+  }
+  if (error.kind === API_ERROR_KIND.HTTP_CLIENT) {
+    return error.status === 404
+      ? "We couldn't find what you were looking for."
+      : `The request was rejected (${error.status}).`;
+  }
+  return messages[error.kind];
+};
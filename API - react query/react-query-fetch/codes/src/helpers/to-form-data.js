@@ -0,0 +1,25 @@
+const appendValue = (formData, key, value) => {
+  if (value === undefined) return;
+
+  if (typeof FileList !== "undefined" && value instanceof FileList) {
+    appendValue(formData, key, Array.from(value));
+  } else if (value instanceof Blob) {
+    formData.append(key, value);
+  } else if (value instanceof Date) {
+    formData.append(key, value.toISOString());
+  } else if (value !== null && typeof value === "object") {
+    toFormData(value, formData, key);
+  } else {
+    formData.append(key, value ?? "");
+  }
+};
+
+// Nested objects and arrays become bracketed keys: `user[address][city]`, `files[0]`
+export const toFormData = (values, formData = new FormData(), parentKey) => {
+  if (values instanceof FormData) return values;
+
+  for (const [key, value] of Object.entries(values)) {
+    appendValue(formData, parentKey ? `${parentKey}[${key}]` : key, value);
+  }
+  return formData;
+};
@@ -0,0 +1,35 @@
+import { toFormData } from "./to-form-data";
+
+describe("toFormData", () => {
+  it("flattens nested fields into bracketed keys", () => {
+    const avatar = new File(["avatar"], "avatar.png", { type: "image/png" });
+
+    const formData = toFormData({
+      name: "Leanne Graham",
+      avatar,
+      address: { city: "Gwenborough", geo: { lat: -37.3159 } },
+      tags: ["admin", "editor"],
+      nickname: null,
+      website: undefined,
+    });
+
+    expect(Array.from(formData.keys())).toEqual([
+      "name",
+      "avatar",
+      "address[city]",
+      "address[geo][lat]",
+      "tags[0]",
+      "tags[1]",
+      "nickname",
+    ]);
+    expect(formData.get("avatar")).toBeInstanceOf(File);
+    expect(formData.get("address[geo][lat]")).toBe("-37.3159");
+    expect(formData.get("nickname")).toBe("");
+  });
+
+  it("returns FormData instances untouched", () => {
+    const formData = new FormData();
+
+    expect(toFormData(formData)).toBe(formData);
+  });
+});
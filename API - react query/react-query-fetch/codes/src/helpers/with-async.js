@@ -1,18 +1,131 @@
-export async function withAsync(fn) {
-  try {
-    if (typeof fn !== "function") {
-      throw new Error("The arg. must be a function.");
-    }
+import {
+  ABORT_REASON,
+  createAbortError,
+  didAbort,
+  getSignalAbortReason,
+} from "../api/abortable";
+import { toApiError } from "../api/apiError";
+import { getRetryDelay, retryDefaults } from "../api/retry";
+
+// `retries: 2` or `{ retries: 2, baseDelay, maxDelay, jitter }`
+const normaliseRetryConfig = (retries = 0) =>
+  typeof retries === "number"
+    ? { ...retryDefaults, retries }
+    : { ...retryDefaults, ...retries };
 
-    const { data } = await fn();
-    return {
-      response: data,
-      error: null,
+const wait = (time, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeout);
+      reject(createAbortError(getSignalAbortReason(signal)));
     };
-  } catch (error) {
-    return {
-      error,
-      response: null,
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, time);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Settles as soon as `signal` aborts or `timeout` runs out, even if `fn`
+// ignores the signal it gets
+const runAttempt = (fn, { timeout, signal }) => {
+  const controller = new AbortController();
+  const cleanups = [];
+
+  return new Promise((resolve, reject) => {
+    const abortWith = (reason, message) => {
+      const error = createAbortError(reason, message);
+      controller.abort(error);
+      reject(error);
     };
+
+    if (signal) {
+      if (signal.aborted) return abortWith(getSignalAbortReason(signal));
+      const onAbort = () => abortWith(getSignalAbortReason(signal));
+      signal.addEventListener("abort", onAbort, { once: true });
+      cleanups.push(() => signal.removeEventListener("abort", onAbort));
+    }
+    if (timeout) {
+      const timer = setTimeout(
+        () => abortWith(ABORT_REASON.TIMEOUT, `Timed out after ${timeout}ms`),
+        timeout
+      );
+      cleanups.push(() => clearTimeout(timer));
+    }
+
+    Promise.resolve()
+      .then(() => fn({ signal: controller.signal }))
+      .then(resolve, reject);
+  }).finally(() => cleanups.forEach((cleanup) => cleanup()));
+};
+
+/**
+ * Runs `fn({ signal })` and resolves, never rejects, with
+ * `{ ok: true, value, error: null }` or `{ ok: false, value: null, error }`.
+ * Errors are normalised with `toApiError`.
+ * @param {(options: { signal: AbortSignal }) => Promise<any>} fn
+ * @param {Object} [options]
+ * @param {number} [options.timeout] Milliseconds each attempt may take
+ * @param {number | Object} [options.retries] Attempts after the first one, or
+ * `{ retries, baseDelay, maxDelay, jitter }`. Aborted calls and errors with
+ * `retryable: false` are not retried.
+ * @param {AbortSignal} [options.signal] Aborts the call, retries included
+ */
+export async function withAsync(fn, { timeout, retries, signal } = {}) {
+  const failure = (error) => ({
+    ok: false,
+    value: null,
+    error,
+  });
+  if (typeof fn !== "function") {
+    return failure(new Error("The arg. must be a function."));
+  }
+  const retryConfig = normaliseRetryConfig(retries);
+
+  for (let retry = 0; ; retry++) {
+    try {
+      const value = await runAttempt(fn, { timeout, signal });
+      return {
+        ok: true,
+        value,
+        error: null,
+      };
+    } catch (rawError) {
+      const error = toApiError(rawError);
+      if (
+        didAbort(error) ||
+        error?.retryable === false ||
+        retry >= retryConfig.retries
+      ) {
+        return failure(error);
+      }
+      try {
+        await wait(getRetryDelay(retry, retryConfig), signal);
+      } catch (abortError) {
+        return failure(toApiError(abortError));
+      }
+    }
   }
 }
+
+// Runs every `fn` and resolves with their results, in order
+export const allSettledAsync = (fns, options) =>
+  Promise.all(fns.map((fn) => withAsync(fn, options)));
+
+// Resolves with the result of the first `fn` to settle, successful or not,
+// and aborts the others
+export const raceAsync = async (fns, { signal, ...options } = {}) => {
+  const controller = new AbortController();
+  const abortRest = () => controller.abort(signal?.reason);
+  if (signal?.aborted) abortRest();
+  signal?.addEventListener("abort", abortRest, { once: true });
+
+  try {
+    return await Promise.race(
+      fns.map((fn) => withAsync(fn, { ...options, signal: controller.signal }))
+    );
+  } finally {
+    signal?.removeEventListener("abort", abortRest);
+    abortRest();
+  }
+};
@@ -0,0 +1,87 @@
+import { ABORT_REASON, API_ERROR_KIND, ApiError } from "../api/api";
+import { allSettledAsync, raceAsync, withAsync } from "./with-async";
+
+const never = ({ signal }) =>
+  new Promise((resolve) => signal.addEventListener("abort", resolve));
+
+describe("withAsync", () => {
+  it("resolves with the value of any async function", async () => {
+    expect(await withAsync(async () => [1, 2])).toEqual({
+      ok: true,
+      value: [1, 2],
+      error: null,
+    });
+    expect(await withAsync("not a function")).toMatchObject({
+      ok: false,
+      value: null,
+    });
+  });
+
+  it("fails with a timeout abort once the time runs out", async () => {
+    const { ok, error } = await withAsync(never, { timeout: 10 });
+
+    expect(ok).toBe(false);
+    expect(error.kind).toBe(API_ERROR_KIND.TIMEOUT);
+    expect(error.abortReason).toBe(ABORT_REASON.TIMEOUT);
+  });
+
+  it("retries failures unless they are not retryable", async () => {
+    const flaky = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("Offline"))
+      .mockResolvedValueOnce("quotes");
+    const retries = { retries: 2, baseDelay: 1, jitter: false };
+
+    expect(await withAsync(flaky, { retries })).toMatchObject({
+      ok: true,
+      value: "quotes",
+    });
+    expect(flaky).toHaveBeenCalledTimes(2);
+
+    const invalid = jest.fn().mockRejectedValue(
+      new ApiError({
+        kind: API_ERROR_KIND.HTTP_CLIENT,
+        message: "Bad request",
+        status: 400,
+      })
+    );
+    expect((await withAsync(invalid, { retries })).error.status).toBe(400);
+    expect(invalid).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops when the caller's signal aborts", async () => {
+    const controller = new AbortController();
+    const result = withAsync(never, { signal: controller.signal });
+    controller.abort();
+
+    expect((await result).error.abortReason).toBe(ABORT_REASON.CANCEL);
+  });
+});
+
+describe("allSettledAsync and raceAsync", () => {
+  it("collects every result in order", async () => {
+    const results = await allSettledAsync([
+      async () => "first",
+      async () => {
+        throw new Error("second");
+      },
+    ]);
+
+    expect(results.map(({ ok }) => ok)).toEqual([true, false]);
+    expect(results[1].error.message).toBe("second");
+  });
+
+  it("takes the first result and aborts the rest", async () => {
+    let loserSignal;
+    const result = await raceAsync([
+      ({ signal }) => {
+        loserSignal = signal;
+        return never({ signal });
+      },
+      async () => "winner",
+    ]);
+
+    expect(result.value).toBe("winner");
+    expect(loserSignal.aborted).toBe(true);
+  });
+});
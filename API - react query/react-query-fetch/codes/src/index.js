@@ -2,6 +2,11 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import "./index.css";
 import App from "./App";
+import api from "./api/api";
+import { authProvider } from "./api/authApi";
+import { auth } from "./api/middleware/auth";
+
+api.use(auth(authProvider), "auth");
 
 const root = ReactDOM.createRoot(document.getElementById("root"));
 root.render(<App />);
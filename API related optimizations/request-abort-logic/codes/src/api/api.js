@@ -1,4 +1,7 @@
 import axios from "axios";
+import { getRetryDelay, retryDefaults } from "./retry";
+
+export { getRetryDelay } from "./retry";
 
 const axiosParams = {
   // Set different base URL based on the environment
@@ -9,23 +12,150 @@ const axiosParams = {
 // Create axios instance with default params
 const axiosInstance = axios.create(axiosParams);
 
-export const didAbort = (error) => axios.isCancel(error) && { aborted: true };
+export const ABORT_REASON = {
+  CANCEL: "cancel",
+  TIMEOUT: "timeout",
+};
 
-const getCancelSource = () => axios.CancelToken.source();
+export const createAbortError = (reason, message) => {
+  const error = new axios.CanceledError(message);
+  error.abortReason = reason;
+  return error;
+};
+
+// AbortSignal.timeout() aborts with a "TimeoutError" DOMException
+export const getSignalAbortReason = (signal) =>
+  signal.reason?.abortReason ??
+  (signal.reason?.name === "TimeoutError"
+    ? ABORT_REASON.TIMEOUT
+    : ABORT_REASON.CANCEL);
+
+export const didAbort = (error) =>
+  (axios.isCancel(error) || error?.aborted === true) && {
+    aborted: true,
+    reason: error.abortReason ?? ABORT_REASON.CANCEL,
+  };
 
 export const isApiError = (error) => axios.isAxiosError(error);
 
+export const isNetworkError = (error) =>
+  isApiError(error) && !error.response && !didAbort(error);
+
+export const isServerError = (error) => error?.response?.status >= 500;
+
+// Only these methods are retried unless a call opts in with `idempotent: true`
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+
+const defaultRetryConfig = {
+  ...retryDefaults,
+  idempotent: false,
+  retryOn: (error) => isNetworkError(error) || isServerError(error),
+};
+
+const normaliseRetryConfig = (retry) => {
+  if (!retry) return null;
+  if (retry === true) return { ...defaultRetryConfig, retries: 3 };
+  if (typeof retry === "number") {
+    return { ...defaultRetryConfig, retries: retry };
+  }
+  return { ...defaultRetryConfig, ...retry };
+};
+
+const waitForRetry = (time, signal) =>
+  new Promise((resolve, reject) => {
+    const rejectWithReason = () =>
+      reject(signal.reason ?? new axios.CanceledError());
+    if (signal?.aborted) return rejectWithReason();
+
+    const onAbort = () => {
+      clearTimeout(timeout);
+      rejectWithReason();
+    };
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, time);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+const withRetry = (fn, method) => {
+  const executor = async (...args) => {
+    const { retry, ...config } = args[args.length - 1];
+    const requestArgs = [...args.slice(0, -1), config];
+    const retryConfig = normaliseRetryConfig(retry);
+
+    if (
+      !retryConfig ||
+      !(retryConfig.idempotent || IDEMPOTENT_METHODS.includes(method))
+    ) {
+      return fn(...requestArgs);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(...requestArgs);
+      } catch (error) {
+        if (
+          didAbort(error) ||
+          attempt >= retryConfig.retries ||
+          !retryConfig.retryOn(error, attempt)
+        ) {
+          throw error;
+        }
+        // Stops waiting as soon as the abort canceller fires
+        await waitForRetry(getRetryDelay(attempt, retryConfig), config.signal);
+      }
+    }
+  };
+
+  return executor;
+};
+
 const withAbort = (fn) => {
   const executor = async (...args) => {
     const originalConfig = args[args.length - 1];
-    const { abort, ...config } = originalConfig;
+    const { abort, signal, timeout, ...config } = originalConfig;
+    const controller = new AbortController();
+    const cleanups = [];
+    let abortReason = ABORT_REASON.CANCEL;
 
+    const abortWith = (reason, message) => {
+      if (!controller.signal.aborted) {
+        abortReason = reason;
+        controller.abort(createAbortError(reason, message));
+      }
+    };
+
+    // Callers can pass one signal or an array of signals to combine
+    for (const externalSignal of [].concat(signal ?? [])) {
+      if (externalSignal.aborted) {
+        abortWith(getSignalAbortReason(externalSignal));
+        break;
+      }
+      const onAbort = () => abortWith(getSignalAbortReason(externalSignal));
+      externalSignal.addEventListener("abort", onAbort, { once: true });
+      cleanups.push(() => externalSignal.removeEventListener("abort", onAbort));
+    }
+
+    if (timeout) {
+      const timer = setTimeout(
+        () =>
+          abortWith(
+            ABORT_REASON.TIMEOUT,
+            `Request timed out after ${timeout}ms`
+          ),
+        timeout
+      );
+      cleanups.push(() => clearTimeout(timer));
+    }
+
+    // Keeps the `abort: (cancel) => ...` contract of the CancelToken version
     if (typeof abort === "function") {
-      const { cancel, token } = getCancelSource();
-      config.cancelToken = token;
-      abort(cancel);
+      abort((message) => abortWith(ABORT_REASON.CANCEL, message));
     }
 
+    config.signal = controller.signal;
+
     try {
       if (args.length > 2) {
         const [url, body] = args;
@@ -39,9 +169,12 @@ const withAbort = (fn) => {
 
       if (didAbort(error)) {
         error.aborted = true;
+        error.abortReason = abortReason;
       }
 
       throw error;
+    } finally {
+      cleanups.forEach((cleanup) => cleanup());
     }
   };
 
@@ -50,12 +183,16 @@ const withAbort = (fn) => {
 
 const api = (axios) => {
   return {
-    get: (url, config = {}) => withAbort(axios.get)(url, config),
-    delete: (url, config = {}) => withAbort(axios.delete)(url, config),
-    post: (url, body, config = {}) => withAbort(axios.post)(url, body, config),
+    get: (url, config = {}) =>
+      withAbort(withRetry(axios.get, "get"))(url, config),
+    delete: (url, config = {}) =>
+      withAbort(withRetry(axios.delete, "delete"))(url, config),
+    post: (url, body, config = {}) =>
+      withAbort(withRetry(axios.post, "post"))(url, body, config),
     patch: (url, body, config = {}) =>
-      withAbort(axios.patch)(url, body, config),
-    put: (url, body, config = {}) => withAbort(axios.put)(url, body, config),
+      withAbort(withRetry(axios.patch, "patch"))(url, body, config),
+    put: (url, body, config = {}) =>
+      withAbort(withRetry(axios.put, "put"))(url, body, config),
   };
 };
 
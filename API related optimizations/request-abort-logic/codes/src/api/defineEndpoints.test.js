@@ -0,0 +1,77 @@
+import api from "./api";
+import { defineEndpoints } from "./defineEndpoints";
+
+jest.mock("./api", () => ({
+  get: jest.fn(),
+  post: jest.fn(),
+}));
+
+describe("defineEndpoints", () => {
+  const { fetchUser, searchMeals, addUser } = defineEndpoints({
+    fetchUser: {
+      service: "users",
+      path: "users/:userId",
+      config: { retry: 2 },
+    },
+    searchMeals: {
+      service: "meals",
+      path: "search.php",
+      query: (query) => ({ s: query }),
+      unwrap: (res) => res.data.meals ?? [],
+    },
+    addUser: {
+      service: "users",
+      method: "post",
+      path: "users",
+      body: ({ name }) => ({ name }),
+    },
+  });
+
+  beforeEach(() => jest.resetAllMocks());
+
+  it("fills path params and merges the service and endpoint config", async () => {
+    api.get.mockResolvedValue({ data: { id: 2 } });
+
+    await expect(fetchUser({ userId: 2 }, { timeout: 100 })).resolves.toEqual({
+      id: 2,
+    });
+    expect(api.get).toHaveBeenCalledWith("users/2", {
+      baseURL: "https://jsonplaceholder.typicode.com/",
+      retry: 2,
+      timeout: 100,
+    });
+  });
+
+  it("serialises the query and unwraps the response", async () => {
+    api.get.mockResolvedValue({ data: { meals: null } });
+
+    await expect(searchMeals("xyz")).resolves.toEqual([]);
+    expect(api.get).toHaveBeenCalledWith(
+      "search.php",
+      expect.objectContaining({ params: { s: "xyz" } })
+    );
+  });
+
+  it("sends the body of body methods", async () => {
+    api.post.mockResolvedValue({ data: { id: 11 } });
+
+    await addUser({ name: "Ann", extra: true });
+
+    expect(api.post).toHaveBeenCalledWith(
+      "users",
+      { name: "Ann" },
+      expect.any(Object)
+    );
+  });
+
+  it("rejects calls with missing path params", async () => {
+    await expect(fetchUser({})).rejects.toThrow('Missing path param "userId"');
+    expect(api.get).not.toHaveBeenCalled();
+  });
+
+  it("rejects endpoints of unknown services", () => {
+    expect(() =>
+      defineEndpoints({ fetchTodos: { service: "todos", path: "todos" } })
+    ).toThrow('Unknown service "todos"');
+  });
+});
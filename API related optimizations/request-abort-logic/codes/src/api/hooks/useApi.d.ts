@@ -0,0 +1,67 @@
+import type {
+  ApiStatusTransitions,
+  DefaultApiStatus,
+} from "../../constants/api-status";
+import type { StatusFlags } from "./useApiStatus";
+
+export declare const EXEC_MODE: {
+  readonly CANCEL_PREVIOUS: "cancel-previous";
+  readonly QUEUE: "queue";
+  readonly PARALLEL: "parallel";
+};
+
+export type ExecMode = (typeof EXEC_MODE)[keyof typeof EXEC_MODE];
+
+export type UseApiConfig<TData, S extends string> = {
+  initialData?: TData;
+  mode?: ExecMode;
+  immediate?: boolean;
+  deps?: readonly unknown[];
+  enabled?: boolean;
+  keepPreviousData?: boolean;
+  transitions?: ApiStatusTransitions<S>;
+  /** Milliseconds between refreshes, paused while the tab is hidden */
+  refetchInterval?: number;
+  refetchOnWindowFocus?: boolean;
+  refetchOnReconnect?: boolean;
+};
+
+/** The axios error, flagged with `aborted` when the call was aborted */
+export type ApiError = Error & {
+  response?: { status: number; data: unknown };
+  aborted?: boolean;
+  abortReason?: string;
+};
+
+export type ExecResult<TData> =
+  | { data: TData; error: null }
+  | { data: null; error: ApiError };
+
+export type UseApiResult<TData, TArgs extends unknown[], S extends string> = {
+  data: TData | undefined;
+  setData: (data: TData) => void;
+  status: S;
+  setStatus: (status: S) => void;
+  error: ApiError | undefined;
+  exec: (...args: TArgs) => Promise<ExecResult<TData>>;
+  abort: () => void;
+  reset: () => void;
+  /** Repeats the last call unless one is still in flight */
+  refetch: () => void;
+} & StatusFlags<S>;
+
+/** The `exec` arguments: everything before the trailing `{ signal }` */
+type ExecArgs<TFn extends (...args: any[]) => unknown> =
+  Parameters<TFn> extends [...infer Args, { signal: AbortSignal }]
+    ? Args
+    : Parameters<TFn> extends [...infer Args, unknown?]
+    ? Args
+    : Parameters<TFn>;
+
+export declare function useApi<
+  TFn extends (...args: any[]) => Promise<unknown>,
+  S extends string = DefaultApiStatus
+>(
+  fn: TFn,
+  config?: UseApiConfig<Awaited<ReturnType<TFn>>, S>
+): UseApiResult<Awaited<ReturnType<TFn>>, ExecArgs<TFn>, S>;
@@ -1,39 +1,207 @@
-import { useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import { useApiStatus } from "./useApiStatus";
-import { PENDING, SUCCESS, ERROR } from "../../constants/api-status";
+import { useDepsVersion } from "./useDepsVersion";
+import {
+  CANCELLED,
+  ERROR,
+  IDLE,
+  PENDING,
+  REFETCHING,
+  SUCCESS,
+  defaultApiStatusTransitions,
+} from "../../constants/api-status";
+import { didAbort } from "../api";
 
+// What `exec` does with calls that are still in flight
+export const EXEC_MODE = {
+  CANCEL_PREVIOUS: "cancel-previous",
+  QUEUE: "queue",
+  PARALLEL: "parallel",
+};
+
+// `fn` gets `{ signal }` after the `exec` arguments. Calls are aborted when
+// a newer one replaces them or the component unmounts, and only the latest
+// call updates `data`, `error` and `status`.
+// With `immediate`, `fn` runs on mount and whenever `deps` change, unless
+// `enabled` is false. Without `keepPreviousData`, changed deps clear `data`.
+// Pass `transitions` with REFETCHING or CANCELLED to have calls that reload
+// existing data or get aborted reported with those statuses.
+// `refetchInterval`, `refetchOnWindowFocus` and `refetchOnReconnect` repeat
+// the last call. A refresh is skipped while a call is in flight, and the
+// interval pauses while the tab is hidden.
 export function useApi(fn, config = {}) {
-  const { initialData } = config;
+  const {
+    initialData,
+    mode = EXEC_MODE.CANCEL_PREVIOUS,
+    immediate = false,
+    deps = [],
+    enabled = true,
+    keepPreviousData = false,
+    transitions = defaultApiStatusTransitions,
+    refetchInterval = 0,
+    refetchOnWindowFocus = false,
+    refetchOnReconnect = false,
+  } = config;
   const [data, setData] = useState(initialData);
   const [error, setError] = useState();
-  const { status, setStatus, ...normalisedStatuses } = useApiStatus();
-  const exec = async (...args) => {
-    try {
-      setStatus(PENDING);
-      const data = await fn(...args);
-      setData(data);
-      setStatus(SUCCESS);
-      return {
-        data,
-        error: null,
-      };
-    } catch (error) {
-      setError(error);
-      setStatus(ERROR);
-      return {
-        error,
-        data: null,
-      };
+  const { status, setStatus, ...normalisedStatuses } = useApiStatus(
+    IDLE,
+    transitions
+  );
+  const fnRef = useRef(fn);
+  const controllersRef = useRef(new Set());
+  const lastCallRef = useRef(0);
+  const queueRef = useRef(Promise.resolve());
+  const mountedRef = useRef(false);
+  const initialDataRef = useRef(initialData);
+  const hasRunRef = useRef(false);
+  const lastArgsRef = useRef(null);
+  const hasDataRef = useRef(false);
+  const transitionsRef = useRef(transitions);
+
+  const keepPreviousDataRef = useRef(keepPreviousData);
+  const depsVersion = useDepsVersion(deps);
+
+  fnRef.current = fn;
+  transitionsRef.current = transitions;
+  keepPreviousDataRef.current = keepPreviousData;
+
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      controllers.forEach((controller) => controller.abort());
+    };
+  }, []);
+
+  const abort = useCallback(() => {
+    controllersRef.current.forEach((controller) => controller.abort());
+  }, []);
+
+  const exec = useCallback(
+    async (...args) => {
+      const call = ++lastCallRef.current;
+      lastArgsRef.current = args;
+      const isLatest = () => mountedRef.current && call === lastCallRef.current;
+      if (mode === EXEC_MODE.CANCEL_PREVIOUS) abort();
+
+      const controller = new AbortController();
+      controllersRef.current.add(controller);
+      // A queued call aborted while it waits rejects as soon as it starts
+      const run = () => fnRef.current(...args, { signal: controller.signal });
+
+      try {
+        setStatus(
+          hasDataRef.current && transitionsRef.current[REFETCHING]
+            ? REFETCHING
+            : PENDING
+        );
+        let request;
+        if (mode === EXEC_MODE.QUEUE) {
+          request = queueRef.current.then(run);
+          queueRef.current = request.catch(() => {});
+        } else {
+          request = run();
+        }
+        const data = await request;
+        if (isLatest()) {
+          hasDataRef.current = true;
+          setData(data);
+          setError(undefined);
+          setStatus(SUCCESS);
+        }
+        return {
+          data,
+          error: null,
+        };
+      } catch (error) {
+        if (isLatest()) {
+          setError(error);
+          setStatus(
+            didAbort(error) && transitionsRef.current[CANCELLED]
+              ? CANCELLED
+              : ERROR
+          );
+        }
+        return {
+          error,
+          data: null,
+        };
+      } finally {
+        controllersRef.current.delete(controller);
+      }
+    },
+    [mode, abort, setStatus]
+  );
+
+  // Only `deps` decide when the immediate call runs again, not a new `mode`
+  const execRef = useRef(exec);
+  execRef.current = exec;
+
+  const refetch = useCallback(() => {
+    if (!lastArgsRef.current || controllersRef.current.size) return;
+    exec(...lastArgsRef.current);
+  }, [exec]);
+
+  // Back to IDLE with the initial data, dropping any call in flight
+  const reset = useCallback(() => {
+    lastCallRef.current++;
+    lastArgsRef.current = null;
+    abort();
+    hasDataRef.current = false;
+    setData(initialDataRef.current);
+    setError(undefined);
+    setStatus(IDLE);
+  }, [abort, setStatus]);
+
+  useEffect(() => {
+    if (!immediate || !enabled) return;
+    if (hasRunRef.current && !keepPreviousDataRef.current) {
+      hasDataRef.current = false;
+      setData(initialDataRef.current);
     }
-  };
+    hasRunRef.current = true;
+    execRef.current();
+  }, [immediate, enabled, depsVersion]);
+
+  useEffect(() => {
+    if (!enabled || !refetchInterval) return;
+    const interval = setInterval(() => {
+      if (document.visibilityState !== "hidden") refetch();
+    }, refetchInterval);
+    return () => clearInterval(interval);
+  }, [enabled, refetchInterval, refetch]);
+
+  useEffect(() => {
+    if (!enabled || !refetchOnWindowFocus) return;
+    const onFocus = () => {
+      if (document.visibilityState !== "hidden") refetch();
+    };
+    window.addEventListener("focus", onFocus);
+    document.addEventListener("visibilitychange", onFocus);
+    return () => {
+      window.removeEventListener("focus", onFocus);
+      document.removeEventListener("visibilitychange", onFocus);
+    };
+  }, [enabled, refetchOnWindowFocus, refetch]);
+
+  useEffect(() => {
+    if (!enabled || !refetchOnReconnect) return;
+    window.addEventListener("online", refetch);
+    return () => window.removeEventListener("online", refetch);
+  }, [enabled, refetchOnReconnect, refetch]);
+
   return {
     data,
     setData,
     status,
-
     setStatus,
     error,
     exec,
+    abort,
+    reset,
+    refetch,
     ...normalisedStatuses,
   };
 }
@@ -0,0 +1,30 @@
+import type {
+  ApiStatusTransitions,
+  DefaultApiStatus,
+} from "../../constants/api-status";
+
+type PascalCase<S extends string> = S extends `${infer Head}_${infer Tail}`
+  ? `${Capitalize<Lowercase<Head>>}${PascalCase<Tail>}`
+  : Capitalize<Lowercase<S>>;
+
+/** "PENDING" -> "isPending", "PARTIAL_SUCCESS" -> "isPartialSuccess" */
+export type StatusFlagName<S extends string> = `is${PascalCase<S>}`;
+
+/** One boolean flag per status of the machine */
+export type StatusFlags<S extends string> = {
+  [K in S as StatusFlagName<K>]: boolean;
+};
+
+export type UseApiStatusResult<S extends string> = {
+  status: S;
+  setStatus: (status: S) => void;
+} & StatusFlags<S>;
+
+export declare function getStatusFlagName<S extends string>(
+  status: S
+): StatusFlagName<S>;
+
+export declare function useApiStatus<S extends string = DefaultApiStatus>(
+  currentStatus?: S,
+  transitions?: ApiStatusTransitions<S>
+): UseApiStatusResult<S>;
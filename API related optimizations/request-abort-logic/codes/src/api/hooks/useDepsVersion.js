@@ -0,0 +1,16 @@
+import { useRef } from "react";
+
+const depsChanged = (previous, next) =>
+  previous.length !== next.length ||
+  next.some((dep, index) => !Object.is(dep, previous[index]));
+
+// A number that goes up whenever one of `deps` changes, compared the way
+// React compares a dependency list, so an effect can depend on a caller's
+// `deps` through a single stable value
+export const useDepsVersion = (deps) => {
+  const ref = useRef({ deps, version: 0 });
+  if (depsChanged(ref.current.deps, deps)) {
+    ref.current = { deps, version: ref.current.version + 1 };
+  }
+  return ref.current.version;
+};
@@ -1,17 +1,11 @@
-import api from "./api";
+import { defineEndpoints } from "./defineEndpoints";
 
-const URLS = {
-  getMeal: "search.php",
-};
-
-export const searchMeals = (query, config) => {
-  return api
-    .get(URLS.getMeal, {
-      baseURL: "https://www.themealdb.com/api/json/v1/1/",
-      params: {
-        s: query,
-      },
-      ...config,
-    })
-    .then((res) => res.data.meals);
-};
+export const { searchMeals } = defineEndpoints({
+  searchMeals: {
+    service: "meals",
+    path: "search.php",
+    query: (query) => ({ s: query }),
+    unwrap: (res) => res.data.meals,
+    config: { retry: 2 },
+  },
+});
@@ -0,0 +1,9 @@
+// Request config shared by every endpoint of a backend
+export const services = {
+  meals: {
+    baseURL: "https://www.themealdb.com/api/json/v1/1/",
+  },
+  users: {
+    baseURL: "https://jsonplaceholder.typicode.com/",
+  },
+};
@@ -1,11 +1,9 @@
-import api from "./api";
+import { defineEndpoints } from "./defineEndpoints";
 
-const URLS = {
-  fetchUsersUrl: "users",
-};
-
-export const fetchUser = () => {
-  return api.get(URLS.fetchUsersUrl, {
-    baseURL: "https://jsonplaceholder.typicode.com/",
-  });
-};
+export const { fetchUser } = defineEndpoints({
+  fetchUser: {
+    service: "users",
+    path: "users",
+    config: { retry: 2 },
+  },
+});
@@ -15,7 +15,7 @@ const LazyLoader = (props) => {
       timeout = setTimeout(() => setShowLoader(true), delay);
     }
     return () => {
-      clearInterval(timeout);
+      clearTimeout(timeout);
     };
   }, [show, delay]);
   return showLoader ? "Loading..." : props.default;
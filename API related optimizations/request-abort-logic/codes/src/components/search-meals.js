@@ -3,6 +3,7 @@ import { toast, ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 import { didAbort } from "../api/api";
 import { searchMeals } from "../api/mealAPI";
+import { withAsync } from "../helpers/with-async";
 import styled from "styled-components";
 
 const useFetchMeals = () => {
@@ -18,18 +19,21 @@ const useFetchMeals = () => {
   };
 
   const fetchMeals = async (query) => {
-    try {
-      // Abort the previous request if there was one
-      abortRef.current.abort?.();
+    // Abort the previous request if there was one
+    abortRef.current.abort?.();
 
-      // Search for new meals
-      const newMeals = await searchMeals(query, {
+    // Search for new meals
+    const { ok, value, error } = await withAsync(({ signal }) =>
+      searchMeals(query, {
+        signal,
         // Assign the canceler method to the abortRef
         abort: (abort) => (abortRef.current.abort = abort),
-      });
+      })
+    );
 
-      setMeals(newMeals ?? []);
-    } catch (error) {
+    if (ok) {
+      setMeals(value ?? []);
+    } else {
       console.error(error);
       handleQuoteError(error);
     }
@@ -1,8 +1,9 @@
-import React, { useEffect } from "react";
+import React from "react";
 import { fetchUser } from "../api/userApi";
 import styled from "styled-components";
 import LazyLoader from "./lazy-loader";
 import { useApi } from "../api/hooks/useApi";
+import { extendedApiStatusTransitions } from "../constants/api-status";
 
 const useFetchUsers = () => {
   const {
@@ -11,15 +12,24 @@ const useFetchUsers = () => {
     status: fetchUsersStatus,
     isIdle: isFetchUsersStatusIdle,
     isPending: isFetchUsersStatusPending,
+    isRefetching: isFetchUsersStatusRefetching,
     isError: isFetchUsersStatusError,
     isSuccess: isFetchUsersStatusSuccess,
-  } = useApi(() => fetchUser().then((response) => response.data));
+  } = useApi(({ signal }) => fetchUser(undefined, { signal }), {
+    immediate: true,
+    // Background refreshes show as REFETCHING instead of PENDING
+    transitions: extendedApiStatusTransitions,
+    refetchInterval: 60 * 1000,
+    refetchOnWindowFocus: true,
+    refetchOnReconnect: true,
+  });
   return {
     users,
     fetchUsersStatus,
     initFetchUsers,
     isFetchUsersStatusIdle,
     isFetchUsersStatusPending,
+    isFetchUsersStatusRefetching,
     isFetchUsersStatusError,
     isFetchUsersStatusSuccess,
   };
@@ -63,18 +73,14 @@ function Users() {
     initFetchUsers,
     isFetchUsersStatusIdle,
     isFetchUsersStatusPending,
-    isFetchUsersStatusSuccess,
+    isFetchUsersStatusRefetching,
   } = useFetchUsers();
 
-  useEffect(() => {
-    initFetchUsers();
-  }, []);
-
   return (
     <Container>
-      <FetchButton onClick={initFetchUsers}>
+      <FetchButton onClick={() => initFetchUsers()}>
         <LazyLoader
-          show={isFetchUsersStatusPending}
+          show={isFetchUsersStatusPending || isFetchUsersStatusRefetching}
           delay={500}
           default="Fetch Users"
         />
@@ -82,7 +88,8 @@ function Users() {
       <FlexContainer>
         <ContentContainer>
           {isFetchUsersStatusIdle ? <p>Welcome</p> : null}
-          {isFetchUsersStatusSuccess
+          {/* Kept on screen while a background refetch runs */}
+          {users
             ? users.map((user, index) => (
                 <React.Fragment key={index}>
                   <UserName>{user.name}</UserName>